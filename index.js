@@ -1,5 +1,9 @@
 var build = require('./lib/build');
+var lint = require('./lib/lint');
+var mounts = require('./lib/mounts');
 
 module.exports = {
-    Builder: build.Builder
+    attachLocalMounts: mounts.attachLocalMounts,
+    Builder: build.Builder,
+    lint: lint.lint
 };
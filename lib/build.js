@@ -24,15 +24,19 @@ var url = require('url');
 
 var assert = require('assert-plus');
 var async = require('async');
-var dockerFileParser = require('docker-file-parser');
 var jsprim = require('jsprim');
 var lazyProperty = require('lazy-property');
 var minimatch = require('minimatch');
 var mkdirp = require('mkdirp');
 var uuid = require('uuid');
 
+var dockerfile = require('./dockerfile');
+var dockerignore = require('./dockerignore');
+var download = require('./download');
+var git = require('./git');
 var magic = require('./magic');
 var shellparser = require('./shellparser');
+var snapshot = require('./snapshot');
 var utils = require('./utils');
 
 
@@ -68,6 +72,7 @@ const KNOWN_CONFIG_NAMES = [
     'Entrypoint',
     'Env',
     'ExposedPorts',
+    'Healthcheck',
     'Hostname',
     'Image',
     'Labels',
@@ -76,6 +81,7 @@ const KNOWN_CONFIG_NAMES = [
     'OnBuild',
     'OpenStdin',
     'PublishService',
+    'Shell',
     'StdinOnce',
     'StopSignal',
     'Tty',
@@ -84,6 +90,38 @@ const KNOWN_CONFIG_NAMES = [
     'WorkingDir'
 ];
 
+// Map of HEALTHCHECK flags to their duration config property name.
+const HEALTHCHECK_DURATION_FLAGS = {
+    'interval': 'Interval',
+    'timeout': 'Timeout',
+    'start-period': 'StartPeriod'
+};
+
+// Minimum allowed HEALTHCHECK duration (1 millisecond).
+const MIN_HEALTHCHECK_DURATION = 1e6;
+
+// Instructions that change the image filesystem, the history entries of the
+// other instructions are marked as an empty layer.
+const LAYER_COMMANDS = ['ADD', 'COPY', 'RUN'];
+
+// Media types of the exported image manifest, config and layers, for each of
+// the supported image formats (see exportImageManifest).
+const IMAGE_FORMAT_MEDIA_TYPES = {
+    'docker': {
+        config: 'application/vnd.docker.container.image.v1+json',
+        layer: 'application/vnd.docker.image.rootfs.diff.tar.gzip',
+        manifest: 'application/vnd.docker.distribution.manifest.v2+json'
+    },
+    'oci': {
+        config: 'application/vnd.oci.image.config.v1+json',
+        layer: 'application/vnd.oci.image.layer.v1.tar+gzip',
+        manifest: 'application/vnd.oci.image.manifest.v1+json'
+    }
+};
+
+// Shell used for shell-form commands, when no SHELL has been set.
+const DEFAULT_SHELL = ['/bin/sh', '-c'];
+
 const DEFAULT_ARG_NAMES = [
     'HTTP_PROXY',
     'HTTPS_PROXY',
@@ -97,10 +135,57 @@ const DEFAULT_ARG_NAMES = [
 ];
 
 
-function ForbiddenPathException(msg) {
-    this.message = msg;
+// Docker stage names must be lowercase and start with a letter.
+const STAGE_NAME_RE = /^[a-z][a-z0-9\-_\.]*$/;
+
+// Supported 'RUN --mount' types and cache mount sharing modes.
+const RUN_MOUNT_TYPES = ['cache', 'secret'];
+const CACHE_MOUNT_SHARING_MODES = ['locked', 'private', 'shared'];
+
+// Instructions where a variable can expand to multiple words, e.g. when
+// PORTS="80 443" then "EXPOSE $PORTS" exposes two ports. For ADD and COPY this
+// only applies to the sources, and the JSON form is never split.
+const SPLIT_WORDS_COMMANDS = ['ADD', 'COPY', 'EXPOSE', 'STOPSIGNAL', 'USER',
+    'VOLUME'];
+
+// The 'ADD --checksum' value, a sha256 digest.
+const ADD_CHECKSUM_RE = /^sha256:[0-9a-fA-F]{64}$/;
+
+
+/**
+ * Return the SOURCE_DATE_EPOCH (in seconds) for the builder options, which is
+ * the sourceDateEpoch option or the SOURCE_DATE_EPOCH build arg, or null when
+ * neither is set.
+ */
+function getSourceDateEpoch(opts, cliBuildArgs) {
+    var value = cliBuildArgs.SOURCE_DATE_EPOCH;
+
+    if (typeof (opts.sourceDateEpoch) === 'number') {
+        value = opts.sourceDateEpoch;
+    } else if (value === undefined || value === null || value === '') {
+        return null;
+    }
+
+    if (!/^[0-9]+$/.test(String(value))) {
+        throw new Error(util.format('Invalid SOURCE_DATE_EPOCH value %j, must '
+            + 'be a number of seconds', value));
+    }
+    return Number(value);
+}
+
+// Returns a new (empty) docker image object for the given platform.
+function createImage(architecture, os) {
+    return {
+        'architecture': architecture,
+        'config': jsprim.deepCopy(DEFAULT_IMAGE_CONFIG),
+        'os': os,
+        'parent': null,
+        'rootfs': {
+            'type': 'layers',
+            'diff_ids': []
+        }
+    };
 }
-util.inherits(ForbiddenPathException, Error);
 
 
 /**
@@ -110,10 +195,32 @@ util.inherits(ForbiddenPathException, Error);
  *  'end' - fn(err) when build is finished, err indicates success or failure.
  *  'message' - fn(event) for notifying of events that occur during the build.
  *  'task' - fn(event) for requesting external to handle a given task
- *    - 'extract_tarfile', when needing to extract a tarfile resource
+ *    - 'extract_tarfile', when needing to extract a tarfile resource, the
+ *       optional uid, gid and mode fields set the owner and mode of the
+ *       extracted files, and the optional mtime field (in seconds) sets the
+ *       modification time of the extracted files (for reproducible builds)
+ *    - 'export_image', to write the filesystem of the given image (or build
+ *       stage) into a tarfile, used by 'COPY --from'
  *    - 'image_reprovision', to reprovision the vm with the given image
- *    - 'run', which means to run the given cmd inside of the vm
+ *    - 'run', which means to run the given cmd inside of the vm, the optional
+ *       mounts field lists the 'RUN --mount' directories to attach (see
+ *       lib/mounts.js for a stand-in implementation), the callback result
+ *       holds the exitCode and optionally the diffId of the created layer
+ *       (see addLayerDiffId)
  *    - 'commands_finished', notify build has finished all dockerfile commands
+ *    - 'export_layers', when an imageFormat is set, to export the layers of
+ *       the final image (imageDigest), the callback is fn(err, layers) where
+ *       layers holds numLayers descriptors, one for each layer of the image
+ *       (the base image layers first, then the layers of the build), in
+ *       order, like:
+ *         { digest: 'sha256:...', size: 1234, diffId: 'sha256:...' }
+ *       where digest and size are of the compressed layer blob and diffId is
+ *       the digest of the uncompressed layer tar (see exportImageManifest)
+ *    - 'layer_changeset', when snapshotLayers is set, with the filesystem
+ *       changes (see lib/snapshot.js diffSnapshots) made in the rootDir by
+ *       an ADD, COPY or RUN step, for creating the layer tarball, the
+ *       callback is fn(err, result) where the optional result.diffId is the
+ *       digest of the layer tarball (see addLayerDiffId)
  */
 function Builder(opts) {
     assert.object(opts, 'opts');
@@ -126,6 +233,25 @@ function Builder(opts) {
     assert.optionalString(opts.buildargs, 'opts.buildargs'); // JSON-encod array
     assert.optionalString(opts.labels, 'opts.labels'); // JSON encoded object
     assert.optionalBool(opts.nocache, 'opts.nocache');
+    assert.optionalString(opts.target, 'opts.target'); // build stage name
+    // Build secrets, map of id to {file: path} or {value: string}.
+    assert.optionalObject(opts.secrets, 'opts.secrets');
+    // Reproducible builds, the timestamp (in seconds) used for the image
+    // created times and the copied file mtimes. Can also be set with the
+    // SOURCE_DATE_EPOCH build arg.
+    assert.optionalNumber(opts.sourceDateEpoch, 'opts.sourceDateEpoch');
+    // Platform of the created image, defaults to 'amd64' and 'linux'.
+    assert.optionalString(opts.architecture, 'opts.architecture');
+    assert.optionalString(opts.os, 'opts.os');
+    // When set, the image config and manifest are exported at the end of the
+    // build, one of 'docker' (image manifest v2, schema 2) or 'oci'.
+    assert.optionalString(opts.imageFormat, 'opts.imageFormat');
+    // When set, the container root is snapshotted before each filesystem
+    // changing step and diffed afterwards (see 'layer_changeset').
+    assert.optionalBool(opts.snapshotLayers, 'opts.snapshotLayers');
+    assert.ok(!opts.imageFormat
+        || IMAGE_FORMAT_MEDIA_TYPES.hasOwnProperty(opts.imageFormat),
+        'Unknown image format: ' + opts.imageFormat);
     assert.object(opts.log, 'opts.log');
     assert.string(opts.uuid, 'opts.uuid');
 
@@ -144,7 +270,19 @@ function Builder(opts) {
     this.dockerfile = opts.dockerfile || 'Dockerfile';
     this.suppressSuccessMsg = opts.suppressSuccessMsg || false;
     this.cliBuildArgs = JSON.parse(opts.buildargs || '[]');
+    this.sourceDateEpoch = getSourceDateEpoch(opts, this.cliBuildArgs);
     this.cliLabels = JSON.parse(opts.labels || '{}');
+    this.architecture = opts.architecture || 'amd64';
+    this.os = opts.os || 'linux';
+    this.imageFormat = opts.imageFormat || null;
+    // The exported image (when imageFormat is set), see exportImageManifest.
+    this.exportedImage = null;
+    // Whether all the image ids of the build are content addressed, see
+    // addLayerDiffId.
+    this.contentAddressed = true;
+    this.snapshotLayers = opts.snapshotLayers || false;
+    // The latest snapshot of the container root, see takeRootfsSnapshot.
+    this.rootfsSnapshot = null;
     this.log = opts.log;
     this.zoneUuid = opts.uuid;
     // Caching variables.
@@ -160,42 +298,185 @@ function Builder(opts) {
     this.totalNumSteps = 0;  // Number of dockerfile commands to be run.
     this.cmdSet = false;     // If a CMD entry has been processed.
 
+    // Multi-stage builds. Each FROM command starts a new stage, the current
+    // stage is held in the builder fields (image, layers, ...) and the
+    // completed stages are stored in 'stages', each entry is a map of:
+    //   { index: Number, name: String, image: Object, imageDigest: String,
+    //     layers: Array }
+    this.stages = [];
+    this.stageIndex = -1;
+    this.stageName = null;
+    this.stageSkipped = false;
+    // When set, the build stops after the stage with this name.
+    this.target = opts.target ? opts.target.toLowerCase() : null;
+    // Sources used by 'COPY --from', map of image name to copy source.
+    this.copySources = {};
+    // Secrets for 'RUN --mount=type=secret', these must never be written into
+    // the image config, history or build output.
+    this.secrets = opts.secrets || {};
+    Object.keys(this.secrets).forEach(function _checkSecret(id) {
+        var secret = this.secrets[id];
+        assert.object(secret, 'opts.secrets.' + id);
+        assert.ok(typeof (secret.file) === 'string'
+            || typeof (secret.value) === 'string',
+            'opts.secrets.' + id + ' must have a file or a value');
+    }, this);
+
     // ARG entries, used with cliBuildArgs.
     // 'buildArgs' is what has been specified via command line.
     // 'buildArgsPlusDefaults' is 'buildArgs' plus the default args.
-    this.buildArgs = {};
-    this.buildArgsPlusDefaults = {};
-    var builder = this;
-    DEFAULT_ARG_NAMES.map(function (arg) {
-        builder.addArgEntry(arg, null);
-    });
+    // 'consumedBuildArgs' tracks which cliBuildArgs have been used.
+    // 'metaArgs' holds the global args (declared before the first FROM).
+    this.consumedBuildArgs = {};
+    if (this.cliBuildArgs.hasOwnProperty('SOURCE_DATE_EPOCH')) {
+        // Used by the builder, whether or not the Dockerfile declares it.
+        this.consumedBuildArgs.SOURCE_DATE_EPOCH = true;
+    }
+    this.metaArgs = {};
+
+    // Parser directives, set from the '# escape=' and '# syntax=' lines at the
+    // top of the Dockerfile.
+    this.escapeToken = '\\';
+    this.syntax = null;
+    this.resetArgEntries();
 
     // Docker image format:
-    this.image = {
-        'architecture': 'amd64',
-        'config': jsprim.deepCopy(DEFAULT_IMAGE_CONFIG),
-        'os': 'linux',
-        'parent': null
-    };
+    this.image = createImage(this.architecture, this.os);
     this.imageDigest = null;
+    // The layers of the base image, see setBaseImageLayers.
+    this.baseImageLayers = null;
 }
 
 util.inherits(Builder, EventEmitter);
 
 /**
- * Sets (or creates a new) image id.
+ * Sets the image id, which defaults to the content addressed digest of the
+ * current image config (see getImageConfigDigest).
  */
 Builder.prototype.setImageId = function setImageId(id) {
     if (typeof (id) == 'undefined') {
-        id = util.format('%s%s', uuid.v4(), uuid.v4());
-        id = id.replace(/-/g, '');
-        id = 'sha256:' + id;
+        id = this.getImageConfigDigest();
     }
     this.log.debug('Setting image id to: %s', id);
     this.imageDigest = id;
     return id;
 };
 
+/**
+ * Return the digest of the current image config, which is the sha256 of the
+ * canonical JSON serialization of the image, e.g. 'sha256:4a7e...'.
+ *
+ * As with docker, the layer content is part of the digest through the image
+ * rootfs.diff_ids (see addLayerDiffId), and the parent image id. When the
+ * content of a layer is not known, i.e. the task handler did not provide the
+ * layer diffId, the config still covers ADD and COPY layers (through the
+ * source content hash in the history), but not RUN layers - those images get
+ * a random container id (see addLayerDiffId), so their ids are unique.
+ */
+Builder.prototype.getImageConfigDigest = function getImageConfigDigest() {
+    return 'sha256:' + crypto.createHash('sha256')
+        .update(utils.canonicalJson(this.image)).digest('hex');
+};
+
+/**
+ * Add the diff id (the sha256 digest of the uncompressed layer tarball) of the
+ * layer created by the current step to the image rootfs.diff_ids. The rootfs
+ * is only kept while the diff ids of all the image layers are known, so when
+ * the diffId is not given (or the base image has no rootfs) it is removed.
+ *
+ * When neither the diffId is given nor is the layer content described by the
+ * config (contentInConfig, e.g. the source hash of an ADD), the image id
+ * cannot be content addressed. As docker does, the image then gets the random
+ * id of the (build) container that made the layer, so two such images never
+ * share an id, and the builder is marked as not content addressed (see the
+ * contentAddressed field of the stored layers), so these ids (and those of
+ * the images built on top of them) are never shared between builds.
+ */
+Builder.prototype.addLayerDiffId =
+function addLayerDiffId(diffId, contentInConfig) {
+    var rootfs = this.image.rootfs;
+
+    delete this.image.container;
+    if (!diffId && !contentInConfig) {
+        this.log.debug('Image is not content addressed, unknown layer diffId');
+        this.image.container = crypto.randomBytes(32).toString('hex');
+        this.contentAddressed = false;
+    }
+
+    if (!diffId || !rootfs || !Array.isArray(rootfs.diff_ids)) {
+        if (rootfs) {
+            this.log.debug('Removing the image rootfs, unknown layer diffId');
+            delete this.image.rootfs;
+        }
+        return;
+    }
+    rootfs.diff_ids.push(diffId);
+};
+
+/**
+ * Set the image created time to now - when the build is reproducible (see
+ * sourceDateEpoch) the image and history times are clamped to the
+ * SOURCE_DATE_EPOCH time, so identical builds produce identical images.
+ */
+Builder.prototype.setImageCreated = function setImageCreated() {
+    var epoch;
+    var image = this.image;
+
+    if (this.sourceDateEpoch === null) {
+        image.created = (new Date()).toISOString();
+        return;
+    }
+
+    epoch = new Date(this.sourceDateEpoch * 1000);
+    image.created = epoch.toISOString();
+    (image.history || []).forEach(function _clampHistory(history) {
+        if (!history.created || new Date(history.created) > epoch) {
+            history.created = image.created;
+        }
+    });
+};
+
+/**
+ * Append an entry to the image history (as shown by 'docker history'), for the
+ * current image. The entry fields follow docker, where the empty fields are
+ * left out:
+ *   {
+ *     created: '2017-07-14T02:40:00.000Z',
+ *     created_by: '/bin/sh -c #(nop) ENV A=1',
+ *     author: 'Joe <joe@example.com>',  // from MAINTAINER
+ *     comment: '...',                   // only in base image entries
+ *     empty_layer: true                 // the filesystem was not changed
+ *   }
+ */
+Builder.prototype.addHistory = function addHistory(createdBy, emptyLayer) {
+    var entry = {
+        created: this.image.created,
+        created_by: createdBy
+    };
+
+    if (this.image.author) {
+        entry.author = this.image.author;
+    }
+    if (emptyLayer) {
+        entry.empty_layer = true;
+    }
+
+    if (!Array.isArray(this.image.history)) {
+        this.image.history = [];
+    }
+    this.image.history.push(entry);
+};
+
+/**
+ * Add the file mtime for reproducible builds (see sourceDateEpoch) to the
+ * 'extract_tarfile' event of a copy.
+ */
+Builder.prototype.addMtimeToEvent = function addMtimeToEvent(event) {
+    if (this.sourceDateEpoch !== null) {
+        event.mtime = this.sourceDateEpoch;
+    }
+};
+
 Builder.prototype.setParentId = function setParentId(id) {
     this.log.debug('Setting parent id to: %s', id);
     this.image.parent = id;
@@ -215,6 +496,199 @@ Builder.prototype.getShortId = function getShortId(id) {
     return id.replace('-', '', 'g').substr(0, 12);
 };
 
+/**
+ * Remember the layers of the base image (of the current stage), used when
+ * exporting the image (see exportImageManifest).
+ */
+Builder.prototype.setBaseImageLayers = function setBaseImageLayers(image) {
+    var history = image.history || [];
+    var rootfs = image.rootfs;
+
+    this.baseImageLayers = {
+        diffIds: (rootfs && Array.isArray(rootfs.diff_ids)
+            ? rootfs.diff_ids.slice() : null),
+        historyLength: history.length
+    };
+};
+
+/**
+ * Start a new build stage (i.e. a FROM command). The current stage (if any) is
+ * stored in the builder stages and the builder state is reset.
+ */
+Builder.prototype.startStage = function startStage() {
+    var builder = this;
+
+    if (builder.stageIndex >= 0) {
+        builder.log.debug('Completed build stage %d (%s)', builder.stageIndex,
+            builder.stageName);
+        builder.stages.push({
+            index: builder.stageIndex,
+            name: builder.stageName,
+            image: builder.image,
+            imageDigest: builder.imageDigest,
+            layers: builder.layers,
+            skipped: builder.stageSkipped
+        });
+    }
+
+    builder.stageIndex += 1;
+    builder.stageName = null;
+    builder.stageSkipped = false;
+    builder.image = createImage(builder.architecture, builder.os);
+    builder.imageDigest = null;
+    builder.setBaseImageLayers(builder.image);
+    builder.layers = [];
+    builder.cmdSet = false;
+    builder.cacheLastCmdCached = true;
+    builder.resetArgEntries();
+};
+
+/**
+ * Skip over the given build stage (see getBuildStages) - the stage is recorded,
+ * so that later stage indexes remain the same, but none of the stage commands
+ * are run.
+ */
+Builder.prototype.skipStage = function skipStage(stage) {
+    var builder = this;
+
+    builder.log.debug('Skipping build stage %d (%s)', stage.index, stage.name);
+    builder.startStage();
+    builder.stageName = stage.name;
+    builder.stageSkipped = true;
+};
+
+/**
+ * Find a previously completed build stage using the given stage name or stage
+ * index. Returns null when there is no matching stage.
+ */
+Builder.prototype.getStage = function getStage(nameOrIndex) {
+    var builder = this;
+    var idx;
+
+    if (/^[0-9]+$/.test(nameOrIndex)) {
+        idx = parseInt(nameOrIndex, 10);
+        return builder.stages[idx] || null;
+    }
+
+    return builder.stages.filter(function _stageNameFilter(stage) {
+        return stage.name === nameOrIndex.toLowerCase();
+    })[0] || null;
+};
+
+/**
+ * Parse the FROM command arguments, which are in the format:
+ *   image [AS name]
+ * Returns a map of { imageName: String, stageName: String }.
+ */
+function parseFromArgs(args) {
+    var words = args.trim().split(/\s+/);
+
+    if (words.length === 3 && words[1].toLowerCase() === 'as') {
+        return { imageName: words[0], stageName: words[2].toLowerCase() };
+    }
+    return { imageName: words[0], stageName: null };
+}
+
+/**
+ * Group the dockerfile commands into build stages. Each stage is a map of:
+ *   { index: Number, name: String, commands: Array, deps: Array }
+ * where deps holds the indexes of the earlier stages that this stage uses
+ * (through 'FROM <stage>' or 'COPY --from=<stage>').
+ *
+ * Commands before the first FROM command are placed in a stage with an index
+ * of -1. The optional expandFn is used to expand variables in the FROM args.
+ */
+function getBuildStages(commands, expandFn) {
+    var stage = { index: -1, name: null, commands: [], deps: [] };
+    var stages = [stage];
+
+    function addDep(nameOrIndex) {
+        var depIdx = -1;
+        if (/^[0-9]+$/.test(nameOrIndex)) {
+            depIdx = parseInt(nameOrIndex, 10);
+        } else {
+            stages.some(function _stageDepFind(s) {
+                if (s.name && s.name === nameOrIndex.toLowerCase()) {
+                    depIdx = s.index;
+                    return true;
+                }
+                return false;
+            });
+        }
+        if (depIdx >= 0 && depIdx < stage.index
+            && stage.deps.indexOf(depIdx) === -1) {
+
+            stage.deps.push(depIdx);
+        }
+    }
+
+    commands.forEach(function _stageCmdForEach(cmd) {
+        if (cmd.name === 'FROM' && typeof (cmd.args) === 'string') {
+            var fromArgs;
+            try {
+                fromArgs = parseFromArgs(expandFn ? expandFn(cmd.args)
+                    : cmd.args);
+            } catch (ex) {
+                throw dockerfile.getLocatedError(cmd, ex);
+            }
+            stage = {
+                index: stage.index + 1,
+                name: fromArgs.stageName,
+                commands: [],
+                deps: []
+            };
+            stages.push(stage);
+            addDep(fromArgs.imageName);
+        } else if (cmd.name === 'COPY' && Array.isArray(cmd.args)) {
+            cmd.args.forEach(function _copyArgForEach(arg) {
+                if (arg.substr(0, 7) === '--from=') {
+                    addDep(arg.slice(7));
+                }
+            });
+        }
+        stage.commands.push(cmd);
+    });
+
+    return stages;
+}
+
+/**
+ * Apply the build target to the given build stages. Stages after the target
+ * stage are removed and the stages the target does not depend on are marked
+ * with `skip: true`.
+ */
+Builder.prototype.applyBuildTarget = function applyBuildTarget(stages) {
+    var builder = this;
+    var needed = {};
+    var targetStage;
+
+    targetStage = stages.filter(function _targetFilter(stage) {
+        return stage.name === builder.target;
+    })[0];
+    if (!targetStage) {
+        throw new Error(util.format('failed to reach build target %s in '
+            + 'Dockerfile', builder.target));
+    }
+
+    function markNeeded(idx) {
+        if (needed[idx]) {
+            return;
+        }
+        needed[idx] = true;
+        stages[idx + 1].deps.forEach(markNeeded);
+    }
+    markNeeded(targetStage.index);
+
+    stages = stages.slice(0, targetStage.index + 2);
+    stages.forEach(function _markSkipped(stage) {
+        stage.skip = (stage.index >= 0 && !needed[stage.index]);
+    });
+    builder.log.debug('applyBuildTarget: target %s, needed stages %j',
+        builder.target, Object.keys(needed));
+
+    return stages;
+};
+
 Builder.prototype.start = function start() {
     var builder = this;
     var log = builder.log;
@@ -234,42 +708,95 @@ Builder.prototype.start = function start() {
                                 + 'empty', builder.dockerfile)));
                 return;
             }
-            var commands = dockerFileParser.parse(dockerfileContents);
-            builder.totalNumSteps = commands.length;
+            var commands;
+            var directives;
+            try {
+                directives = dockerfile.parseDirectives(dockerfileContents);
+                commands = dockerfile.parse(dockerfileContents);
+            } catch (e) {
+                next(e);
+                return;
+            }
+            builder.escapeToken = directives.escape;
+            builder.syntax = directives.syntax;
+            if (directives.unknown) {
+                builder.emitStdout(util.format('[Warning] unknown parser '
+                    + 'directive %s (line %d), it is treated as a comment\n',
+                    directives.unknown.name, directives.unknown.line));
+            }
+            if (builder.syntax) {
+                log.info('Dockerfile syntax directive: %s', builder.syntax);
+            }
             next(null, commands);
         },
         function removeIgnoredContextFiles(allCommands, next) {
-            // TODO:
-            // After the Dockerfile has been parsed, we need to check the
-            // .dockerignore file for either "Dockerfile" or ".dockerignore",
-            // and if either are present then erase them from the build context.
-            // These files should never have been sent from the client but we
-            // did send them to make sure that we had the Dockerfile to actually
-            // parse, and then we also need the .dockerignore file to know
-            // whether either file should be removed. Note that this assumes the
-            // Dockerfile has been read into memory and is now safe to be
-            // removed.
-            next(null, allCommands);
+            // The Dockerfile has been read into memory, so it (and the
+            // .dockerignore file) can now be removed too, when listed.
+            builder.removeIgnoredContextFiles(function _removeIgnoredCb(err) {
+                next(err, allCommands);
+            });
         },
-        function process(allCommands, next) {
-            log.info('processing', allCommands.length, 'commands');
-            async.eachSeries(allCommands, function commandBuildStep(cmd, cb) {
+        function resolveStages(allCommands, next) {
+            var stages;
+            try {
+                builder.setMetaArgs(allCommands);
+                stages = getBuildStages(allCommands,
+                    builder.expandMetaArgs.bind(builder));
+                if (builder.target) {
+                    stages = builder.applyBuildTarget(stages);
+                }
+            } catch (ex) {
+                next(ex);
+                return;
+            }
+            builder.totalNumSteps = stages.reduce(function (total, stage) {
+                return total + (stage.skip ? 0 : stage.commands.length);
+            }, 0);
+            next(null, stages);
+        },
+        function process(stages, next) {
+            log.info('processing', builder.totalNumSteps, 'commands');
+
+            function commandBuildStep(cmd, cb) {
                 builder.onBuildTriggers = null;
                 builder.step(cmd, function stepCb(err) {
                     if (err) {
                         cb(err);
                         return;
                     }
-                    builder.runOnBuildTriggers(builder.onBuildTriggers, cb);
+                    builder.runOnBuildTriggers(builder.onBuildTriggers, cmd,
+                        cb);
                 });
+            }
+
+            async.eachSeries(stages, function stageBuildStep(stage, cb) {
+                if (stage.index === -1) {
+                    // The global args have already been processed (see
+                    // setMetaArgs), so just report them.
+                    stage.commands.forEach(function _metaArgStep(cmd) {
+                        builder.stepNo += 1;
+                        builder.sendCommandDetails(cmd);
+                    });
+                    cb();
+                    return;
+                }
+                if (stage.skip) {
+                    builder.skipStage(stage);
+                    cb();
+                    return;
+                }
+                async.eachSeries(stage.commands, commandBuildStep, cb);
             }, next);
         },
         function checkBuildArgs(next) {
             log.debug('checkBuildArgs: %j', builder.cliBuildArgs);
-            if (!jsprim.isEmpty(builder.cliBuildArgs)) {
+            var unconsumed = Object.keys(builder.cliBuildArgs).filter(
+                function (name) {
+                    return !builder.consumedBuildArgs.hasOwnProperty(name);
+            });
+            if (unconsumed.length > 0) {
                 next(new Error(util.format('One or more build-args [%s] were '
-                    + 'not consumed, failing build.',
-                    Object.keys(builder.cliBuildArgs))));
+                    + 'not consumed, failing build.', unconsumed)));
                 return;
             }
             next();
@@ -282,6 +809,13 @@ Builder.prototype.start = function start() {
                 return;
             }
             next();
+        },
+        function exportImageManifest(next) {
+            if (!builder.imageFormat) {
+                next();
+                return;
+            }
+            builder.exportImageManifest(next);
         }
     ], function (err) {
         if (err) {
@@ -311,7 +845,13 @@ Builder.prototype.startCommit = function startCommit(fromImg, changes) {
     async.waterfall([
         function parse(next) {
             log.info('dockerfileContents: ', dockerfileContents);
-            var commands = dockerFileParser.parse(dockerfileContents);
+            var commands;
+            try {
+                commands = dockerfile.parse(dockerfileContents);
+            } catch (e) {
+                next(e);
+                return;
+            }
             builder.totalNumSteps = commands.length;
             next(null, commands);
         },
@@ -321,7 +861,7 @@ Builder.prototype.startCommit = function startCommit(fromImg, changes) {
             log.info('verifying commit commands');
             var forbiddenCommands = allCommands.filter(function (cmd) {
                 return [
-                    'ADD', 'ARG', 'COPY', 'FROM', 'MAINTAINER', 'RUN'
+                    'ADD', 'ARG', 'COPY', 'FROM', 'MAINTAINER', 'RUN', 'SHELL'
                 ].indexOf(cmd.name) >= 0;
             });
             if (forbiddenCommands.length > 0) {
@@ -341,11 +881,15 @@ Builder.prototype.startCommit = function startCommit(fromImg, changes) {
             async.eachSeries(allCommands, builder.doActualStep.bind(builder),
                 next);
         },
-        // Generate a unique id for the committed image.
+        // Generate the (content addressed) id for the committed image.
         function generateFinalImage(next) {
             builder.setParentId(builder.imageDigest);
+            builder.setImageCreated();
+            builder.addHistory((builder.image.config.Cmd || []).join(' '),
+                false);
+            // The diff id of the committed filesystem is not known.
+            builder.addLayerDiffId(null, false);
             builder.setImageId();
-            builder.image.created = (new Date()).toISOString();
             builder.storeImageLayer(null);
             next();
         }
@@ -362,6 +906,172 @@ Builder.prototype.startCommit = function startCommit(fromImg, changes) {
     });
 };
 
+/**
+ * Return the error for an invalid layer descriptor (from the 'export_layers'
+ * task handler), or null when it is valid.
+ */
+function getLayerDescriptorError(layer, idx) {
+    var fields = {diffId: 'string', digest: 'string', size: 'number'};
+    var invalid;
+
+    if (!layer || typeof (layer) !== 'object') {
+        return new Error(util.format('invalid layer descriptor %d from the '
+            + 'task handler, it must be an object', idx));
+    }
+    if (layer.hasOwnProperty('mediaType')) {
+        fields.mediaType = 'string';
+    }
+    invalid = Object.keys(fields).filter(function _isInvalid(name) {
+        return typeof (layer[name]) !== fields[name];
+    })[0];
+    if (invalid) {
+        return new Error(util.format('invalid layer descriptor %d from the '
+            + 'task handler, %s must be a %s', idx, invalid, fields[invalid]));
+    }
+    return null;
+}
+
+/**
+ * Export the final image as an image config and an image manifest, in the
+ * docker (image manifest v2, schema 2) or OCI format (see imageFormat). The
+ * layer descriptors are provided by the 'export_layers' task handler, one for
+ * each layer of the image - the base image layers (from the base image
+ * rootfs.diff_ids when it has them, see setBaseImageLayers) followed by the
+ * layers created by the build (the history entries that are not an empty
+ * layer). The diffIds of the descriptors must match the already known diff
+ * ids of the image.
+ *
+ * The builder image id (imageDigest) is left as is: the exported config has
+ * a different (registry) form than the stored image config, so its digest is
+ * only reported as exportedImage.configDigest, and the built image and its
+ * layers keep the ids that were reported during the build.
+ *
+ * Sets builder.exportedImage to an object like:
+ *   {
+ *     config: Object,          // the image config
+ *     configBlob: String,      // the serialized image config
+ *     configDigest: String,    // 'sha256:...' digest of the configBlob
+ *     manifest: Object,        // the image manifest
+ *     manifestBlob: String,    // the serialized image manifest
+ *     manifestDigest: String   // 'sha256:...' digest of the manifestBlob
+ *   }
+ */
+Builder.prototype.exportImageManifest = function exportImageManifest(callback) {
+    var builder = this;
+    var base = builder.baseImageLayers || {diffIds: [], historyLength: 0};
+    var history = builder.image.history || [];
+    var knownDiffIds;
+    var mediaTypes = IMAGE_FORMAT_MEDIA_TYPES[builder.imageFormat];
+    var numLayers;
+
+    function countLayers(entries) {
+        return entries.filter(function _isLayer(entry) {
+            return !entry.empty_layer;
+        }).length;
+    }
+
+    function sha256Digest(blob) {
+        return 'sha256:' + crypto.createHash('sha256').update(blob)
+            .digest('hex');
+    }
+
+    if (builder.image.rootfs) {
+        // The diff ids of all the image layers are known (see
+        // addLayerDiffId).
+        knownDiffIds = builder.image.rootfs.diff_ids;
+        numLayers = knownDiffIds.length;
+    } else {
+        knownDiffIds = base.diffIds || [];
+        numLayers = (base.diffIds ? base.diffIds.length
+            : countLayers(history.slice(0, base.historyLength)))
+            + countLayers(history.slice(base.historyLength));
+    }
+
+    builder.emitTask({
+        callback: exportLayersCb,
+        history: history,
+        imageDigest: builder.imageDigest,
+        numLayers: numLayers,
+        type: 'export_layers'
+    });
+
+    function exportLayersCb(err, layers) {
+        if (err) {
+            callback(err);
+            return;
+        }
+        layers = (Array.isArray(layers) ? layers : []);
+        if (layers.length !== numLayers) {
+            callback(new Error(util.format('expected %d layer descriptors '
+                + 'from the task handler, got %d', numLayers, layers.length)));
+            return;
+        }
+        for (var i = 0; i < layers.length; i++) {
+            err = getLayerDescriptorError(layers[i], i);
+            if (!err && i < knownDiffIds.length
+                && layers[i].diffId !== knownDiffIds[i]) {
+
+                err = new Error(util.format('layer descriptor %d diffId %s '
+                    + 'does not match the image diff id %s', i,
+                    layers[i].diffId, knownDiffIds[i]));
+            }
+            if (err) {
+                callback(err);
+                return;
+            }
+        }
+
+        var config = {
+            architecture: builder.image.architecture || builder.architecture,
+            config: builder.image.config,
+            created: builder.image.created,
+            history: history,
+            os: builder.image.os || builder.os,
+            rootfs: {
+                diff_ids: layers.map(function (layer) {
+                    return layer.diffId;
+                }),
+                type: 'layers'
+            }
+        };
+        if (builder.image.author) {
+            config.author = builder.image.author;
+        }
+        var configBlob = utils.canonicalJson(config);
+
+        var manifest = {
+            schemaVersion: 2,
+            mediaType: mediaTypes.manifest,
+            config: {
+                mediaType: mediaTypes.config,
+                size: Buffer.byteLength(configBlob),
+                digest: sha256Digest(configBlob)
+            },
+            layers: layers.map(function (layer) {
+                return {
+                    mediaType: layer.mediaType || mediaTypes.layer,
+                    size: layer.size,
+                    digest: layer.digest
+                };
+            })
+        };
+        var manifestBlob = JSON.stringify(manifest);
+
+        builder.exportedImage = {
+            config: config,
+            configBlob: configBlob,
+            configDigest: manifest.config.digest,
+            manifest: manifest,
+            manifestBlob: manifestBlob,
+            manifestDigest: sha256Digest(manifestBlob)
+        };
+        builder.log.debug('Exported %s image manifest %s', builder.imageFormat,
+            builder.exportedImage.manifestDigest);
+
+        callback();
+    }
+};
+
 Builder.prototype.emitError = function emitError(msg) {
     this.log.error(msg);
     this.emitStdout(util.format('ERROR: %s\n', msg));
@@ -425,10 +1135,10 @@ Builder.prototype.readDockerfile = function readDockerfile(callback) {
     /* jsl:end */
         // Ensure the dockerfile isn't outside of the extract directory.
         try {
-            resolvedDest = getRealpathFromRootDir(dockerfilenames[i],
+            resolvedDest = utils.getRealpathFromRootDir(dockerfilenames[i],
                 builder.contextExtractDir);
         } catch (ex) {
-            if (ex instanceof ForbiddenPathException) {
+            if (ex instanceof utils.ForbiddenPathException) {
                 callback(ex);
                 return;
             }
@@ -455,6 +1165,144 @@ Builder.prototype.readDockerfile = function readDockerfile(callback) {
         builder.dockerfile)));
 };
 
+/**
+ * Remove the files listed in the ignore file (if any) from the extracted build
+ * context, so they are invisible to ADD and COPY (and their cache hashes). The
+ * ignore file is '<dockerfile>.dockerignore' (e.g. 'build/api.Dockerfile' uses
+ * 'build/api.Dockerfile.dockerignore') when it exists, otherwise the root
+ * '.dockerignore' file. When files were removed, the context tar file is
+ * recreated from the remaining files, as that is what the copies are extracted
+ * from.
+ */
+Builder.prototype.removeIgnoredContextFiles =
+function removeIgnoredContextFiles(callback) {
+    var builder = this;
+    var ignoreFilename = null;
+    var numRemoved = 0;
+    var patterns;
+
+    // Remove the ignored entries of the directory, a directory that is
+    // ignored is only kept when an exception pattern re-includes some of its
+    // contents.
+    function removeIgnored(relDir, cb) {
+        var dir = path.join(builder.contextExtractDir, relDir);
+
+        fs.readdir(dir, function _readdirCb(err, names) {
+            if (err) {
+                cb(err);
+                return;
+            }
+            async.eachSeries(names, function _removeIgnoredEntry(name, next) {
+                var relPath = (relDir ? relDir + '/' + name : name);
+                var filepath = path.join(dir, name);
+                var ignored = dockerignore.isIgnored(relPath, patterns);
+
+                fs.lstat(filepath, function _lstatCb(statErr, st) {
+                    if (statErr) {
+                        next(statErr);
+                    } else if (st.isDirectory()) {
+                        removeIgnored(relPath, function _removedCb(dirErr) {
+                            if (dirErr || !ignored) {
+                                next(dirErr);
+                                return;
+                            }
+                            removeEmptyDir(filepath, next);
+                        });
+                    } else if (ignored) {
+                        numRemoved += 1;
+                        fs.unlink(filepath, next);
+                    } else {
+                        next();
+                    }
+                });
+            }, cb);
+        });
+    }
+
+    function removeEmptyDir(dirpath, cb) {
+        fs.rmdir(dirpath, function _rmdirCb(err) {
+            if (err && (err.code === 'ENOTEMPTY' || err.code === 'EEXIST')) {
+                cb();
+                return;
+            }
+            if (!err) {
+                numRemoved += 1;
+            }
+            cb(err);
+        });
+    }
+
+    async.waterfall([
+        function readIgnoreFile(next) {
+            var ignoreFilenames = [builder.dockerfile + '.dockerignore',
+                '.dockerignore'];
+            var contents = null;
+
+            async.detectSeries(ignoreFilenames, function _readIgnore(name, cb) {
+                var filepath;
+                try {
+                    filepath = path.join(builder.contextExtractDir,
+                        utils.getRealpathFromRootDir(name,
+                            builder.contextExtractDir));
+                } catch (e) {
+                    cb(e);
+                    return;
+                }
+                fs.readFile(filepath, function _readFileCb(err, data) {
+                    if (err && err.code === 'ENOENT') {
+                        cb(null, false);
+                        return;
+                    }
+                    contents = data;
+                    cb(err, !err);
+                });
+            }, function _detectCb(err, name) {
+                ignoreFilename = name;
+                next(err, contents);
+            });
+        },
+        function removeIgnoredFiles(contents, next) {
+            if (contents === null) {
+                next();
+                return;
+            }
+            builder.log.debug('removeIgnoredContextFiles: using %s',
+                ignoreFilename);
+            try {
+                patterns = dockerignore.parse(contents);
+            } catch (e) {
+                next(e);
+                return;
+            }
+            removeIgnored('', function _removeIgnoredCb(err) {
+                builder.log.debug(
+                    'removeIgnoredContextFiles: removed %d entries',
+                    numRemoved);
+                next(err);
+            });
+        },
+        function recreateContextTarfile(next) {
+            if (numRemoved === 0) {
+                next();
+                return;
+            }
+            builder.contextFilepath = path.join(builder.contextDir,
+                'context.tar');
+            builder.contextFileCompressionType = null;
+            utils.getDirTarEntries(builder.contextExtractDir, {},
+                    function _getEntriesCb(err, entries) {
+                if (err) {
+                    next(err);
+                    return;
+                }
+                utils.createTarfile(builder.contextFilepath, entries, next);
+            });
+        }
+    ], function _removeIgnoredCb(err) {
+        callback(err);
+    });
+};
+
 Builder.prototype.storeImageLayer = function storeImageLayer(cmd) {
     var builder = this;
 
@@ -467,6 +1315,7 @@ Builder.prototype.storeImageLayer = function storeImageLayer(cmd) {
 
     builder.layers.push({
         cmd: cmd,
+        contentAddressed: builder.contentAddressed,
         image: jsprim.deepCopy(builder.image),
         imageDigest: builder.imageDigest
     });
@@ -480,9 +1329,21 @@ Builder.prototype.isCachingAllowed = function isCachingAllowed(cmd) {
     return this.cacheEnabled && this.cacheLastCmdCached;
 };
 
-function fixShellCommandArguments(cmd) {
+/**
+ * Return the shell (array) used to run shell-form commands, which is either
+ * set by the SHELL command or inherited from the base image.
+ */
+Builder.prototype.getShell = function getShell() {
+    var shell = this.image.config.Shell;
+    if (Array.isArray(shell) && shell.length > 0) {
+        return shell.slice();
+    }
+    return DEFAULT_SHELL.slice();
+};
+
+function fixShellCommandArguments(cmd, shell) {
     if (typeof (cmd.args) === 'string') {
-        cmd.args = ['/bin/sh', '-c', cmd.args];
+        cmd.args = shell.concat([cmd.args]);
     } else {
         assert.arrayOfString(cmd.args, cmd.name
             + ' argument should be an array or a string');
@@ -508,6 +1369,7 @@ Builder.prototype.getNopCmdForCommand = function getNopCmdForCommand(cmd) {
     var cmdArray = [];
     var cmdString = getCommandString(cmd);
     var keys;
+    var shell = builder.getShell();
 
     // NOP commands are percucilar in docker... and we follow their
     // formatting designs below (see builder/dockerfile/dispatchers.go).
@@ -527,16 +1389,27 @@ Builder.prototype.getNopCmdForCommand = function getNopCmdForCommand(cmd) {
         if (Array.isArray(cmd.args)) {
             return cmdArray.concat(cmd.args);
         }
-        return cmdArray.concat(['/bin/sh', '-c', '#(nop) ' + cmdString]);
+        return cmdArray.concat(shell, ['#(nop) ' + cmdString]);
+    }
+
+    if (cmd.name === 'SHELL') {
+        // The new shell is used for the SHELL nop command.
+        shell = cmd.args.slice();
+        cmdString = util.format('SHELL [%s]', cmd.args.join(' '));
+    }
+
+    if (cmd.name === 'HEALTHCHECK') {
+        cmdString = 'HEALTHCHECK ' + formatHealthcheck(cmd.ctx.healthcheck);
     }
 
     if (cmd.name === 'ADD' || cmd.name === 'COPY') {
-        var typeHash = generateHashForCopyInfos(cmd.ctx.copyInfos);
+        var typeHash = generateHashForCopyInfos(cmd.ctx.copyInfos,
+            cmd.ctx.flags);
         var inDir = cmd.args.slice(-1)[0];
         cmdString = util.format('%s %s in %s', cmd.name, typeHash, inDir);
     }
 
-    return ['/bin/sh', '-c', '#(nop) ' + cmdString];
+    return shell.concat(['#(nop) ' + cmdString]);
 };
 
 Builder.prototype.getCachedImage = function getCachedImage(cmd, callback) {
@@ -592,29 +1465,46 @@ function getMergedEnvArgArray(envArray, argMap) {
 Builder.prototype.updateCommandVariables =
 function updateCommandVariables(cmd)
 {
+    // USER and STOPSIGNAL are always processed, to check that they are given
+    // exactly one word (see processSplitWords).
+    var isSplitString = (SPLIT_WORDS_COMMANDS.indexOf(cmd.name) >= 0
+        && typeof (cmd.args) === 'string');
+
     // If there's no $, quotes or backslash then no need to process the command.
     /* JSSTYLED */ // this is regex, not a string!
-    if (cmd.raw.search(/[\\$'\"]/) === -1) {
+    if (!isSplitString && cmd.raw.search(/[\\$'\"]/) === -1) {
         return;
     }
 
     var builder = this;
     var env = builder.image.config.Env || [];
     var origArgs = jsprim.deepCopy(cmd.args);
+    var wordOpts = {escape: builder.escapeToken, strict: true};
+
+    if (cmd.name === 'FROM') {
+        // Only the global args can be used in FROM.
+        cmd.args = builder.expandMetaArgs(cmd.args);
+        builder.log.debug('variables: updated cmd %s from %j to %j',
+            cmd.name, origArgs, cmd.args);
+        return;
+    }
 
     env = getMergedEnvArgArray(env, builder.buildArgsPlusDefaults);
 
     // Update any variable references in the command arguments.
-    if (Array.isArray(cmd.args)) {
+    if (SPLIT_WORDS_COMMANDS.indexOf(cmd.name) >= 0 && !cmd.json) {
+        cmd.args = builder.processSplitWords(cmd, env);
+    } else if (Array.isArray(cmd.args)) {
         cmd.args = cmd.args.map(function (word) {
-            return shellparser.processWord(word, env);
+            return shellparser.processWord(word, env, wordOpts);
         });
     } else if (typeof (cmd.args) === 'string') {
-        cmd.args = shellparser.processWord(cmd.args, env);
+        cmd.args = shellparser.processWord(cmd.args, env, wordOpts);
     } else {
         // Object format.
         Object.keys(cmd.args).forEach(function (key) {
-            cmd.args[key] = shellparser.processWord(cmd.args[key], env);
+            cmd.args[key] = shellparser.processWord(cmd.args[key], env,
+                wordOpts);
         });
     }
 
@@ -622,6 +1512,39 @@ function updateCommandVariables(cmd)
         cmd.name, origArgs, cmd.args);
 };
 
+/**
+ * Return the variable expanded args for one of the SPLIT_WORDS_COMMANDS (in
+ * the shell form), where the words are split after expansion (see
+ * shellparser.processWords). String args (USER and STOPSIGNAL) must expand to
+ * exactly one word, which is returned as a string.
+ */
+Builder.prototype.processSplitWords = function processSplitWords(cmd, env) {
+    var builder = this;
+    var isCopy = (cmd.name === 'ADD' || cmd.name === 'COPY');
+    var isFlag = isCopy;
+    var wordOpts = {escape: builder.escapeToken, strict: true};
+
+    if (typeof (cmd.args) === 'string') {
+        var words = shellparser.processWords(cmd.args, env, wordOpts);
+        if (words.length !== 1) {
+            throw new Error(util.format('%s requires exactly one argument',
+                cmd.name));
+        }
+        return words[0];
+    }
+
+    // The ADD and COPY flags and destination are not split.
+    var lastIdx = (isCopy ? cmd.args.length - 1 : cmd.args.length);
+
+    return cmd.args.reduce(function _splitWords(args, word, idx) {
+        isFlag = isFlag && (word.slice(0, 2) === '--');
+        if (isFlag || idx >= lastIdx) {
+            return args.concat(shellparser.processWord(word, env, wordOpts));
+        }
+        return args.concat(shellparser.processWords(word, env, wordOpts));
+    }, []);
+};
+
 Builder.prototype.addConfigMap = function addConfigMap(args, propName) {
     var config = this.image.config;
     if (!config.hasOwnProperty(propName) || config[propName] === null) {
@@ -675,16 +1598,161 @@ function addConfigEnvArray(args, propName)
 };
 
 
+/**
+ * Strip the leading '--name=value' flags from the cmd arguments (which can be
+ * an array or a string) and store them in the cmd.ctx.flags map. A flag without
+ * a value is given the value true. Returns an error when a flag is not in the
+ * allowedFlags array. Flags in the optional repeatableFlags array can be given
+ * multiple times, and their values are collected into an array.
+ */
+function parseCommandFlags(cmd, allowedFlags, repeatableFlags) {
+    assert.object(cmd.ctx, 'cmd.ctx');
+
+    var arg;
+    var flags = cmd.ctx.flags || {};
+    var idx;
+    var name;
+
+    // Remove and return the next flag from the cmd args, or null when there
+    // are no more flags.
+    function shiftFlag() {
+        var match;
+        if (typeof (cmd.args) === 'string') {
+            match = cmd.args.match(/^\s*(--\S*)(\s+|$)/);
+            if (!match) {
+                return null;
+            }
+            cmd.args = cmd.args.slice(match[0].length);
+            return match[1];
+        }
+        assert.arrayOfString(cmd.args,
+            cmd.name + ' argument should be an array or a string');
+        if (cmd.args.length === 0 || cmd.args[0].substr(0, 2) !== '--') {
+            return null;
+        }
+        return cmd.args.shift();
+    }
+
+    while ((arg = shiftFlag()) !== null) {
+        if (arg === '--') {
+            // End of the flags.
+            break;
+        }
+        idx = arg.indexOf('=');
+        name = (idx >= 0 ? arg.slice(2, idx) : arg.slice(2));
+        if (allowedFlags.indexOf(name) === -1) {
+            return new Error(util.format('Unknown flag: %s', name));
+        }
+        if (repeatableFlags && repeatableFlags.indexOf(name) >= 0) {
+            flags[name] = (flags[name] || []).concat(
+                [idx >= 0 ? arg.slice(idx + 1) : true]);
+            continue;
+        }
+        if (flags.hasOwnProperty(name)) {
+            return new Error(util.format('Duplicate flag specified: %s',
+                name));
+        }
+        flags[name] = (idx >= 0 ? arg.slice(idx + 1) : true);
+    }
+
+    cmd.ctx.flags = flags;
+    return null;
+}
+
 // Note: This function is also called for COPY command.
 Builder.prototype.cmdAddPreFn = function cmdAddPreFn(cmd, callback) {
     var builder = this;
-    // Calculate hashes of the context files, to check if they have changed.
-    builder.getCopyInfo(cmd, {
-        allowRemote: (cmd.name === 'ADD'),
-        allowDecompression: (cmd.name === 'ADD')
-    }, function _getCopyInfoCb(err, copyInfos) {
-        cmd.ctx.copyInfos = copyInfos;
+    var allowedFlags = ['chmod', 'chown'];
+    var err;
+    var flags;
+
+    if (cmd.name === 'COPY') {
+        allowedFlags.push('from');
+    } else {
+        allowedFlags.push('checksum', 'keep-git-dir');
+    }
+    err = parseCommandFlags(cmd, allowedFlags);
+    if (err) {
         callback(err);
+        return;
+    }
+
+    flags = cmd.ctx.flags;
+    if (flags.hasOwnProperty('chown') && (typeof (flags.chown) !== 'string'
+        || !/^[^:]+(:[^:]+)?$/.test(flags.chown))) {
+
+        callback(new Error(util.format('Invalid chown value: %s',
+            flags.chown)));
+        return;
+    }
+    if (flags.hasOwnProperty('chmod') && (typeof (flags.chmod) !== 'string'
+        || !/^[0-7]{3,4}$/.test(flags.chmod))) {
+
+        callback(new Error(util.format('Invalid chmod value: %s, must be an '
+            + 'octal file mode', flags.chmod)));
+        return;
+    }
+    if (flags.hasOwnProperty('checksum')) {
+        if (typeof (flags.checksum) !== 'string'
+            || !ADD_CHECKSUM_RE.test(flags.checksum)) {
+
+            callback(new Error(util.format('Invalid checksum value: %s, must '
+                + 'be sha256:<hex digest>', flags.checksum)));
+            return;
+        }
+        if (cmd.args.length !== 2 || !/^https?:\/\//i.test(cmd.args[0])
+            || git.parseGitUrl(cmd.args[0])) {
+
+            callback(new Error('ADD --checksum requires a single http(s) url '
+                + 'source'));
+            return;
+        }
+        flags.checksum = flags.checksum.toLowerCase();
+    }
+    if (flags.hasOwnProperty('keep-git-dir')) {
+        if (flags['keep-git-dir'] !== true && flags['keep-git-dir'] !== 'true'
+            && flags['keep-git-dir'] !== 'false') {
+
+            callback(new Error(util.format('Invalid keep-git-dir value: %s, '
+                + 'must be true or false', flags['keep-git-dir'])));
+            return;
+        }
+        if (cmd.args.length !== 2 || !git.parseGitUrl(cmd.args[0])) {
+            callback(new Error('ADD --keep-git-dir requires a single git '
+                + 'repository source'));
+            return;
+        }
+        flags['keep-git-dir'] = (flags['keep-git-dir'] !== 'false');
+    }
+
+    if (cmd.heredocs && !cmd.ctx.heredocSource) {
+        if (flags.from) {
+            callback(new Error(util.format(
+                '%s --from cannot be used with heredocs', cmd.name)));
+            return;
+        }
+        try {
+            builder.createHeredocSource(cmd);
+        } catch (e) {
+            callback(e);
+            return;
+        }
+    }
+
+    builder.getCopySource(cmd, function _getCopySourceCb(srcErr, source) {
+        if (srcErr) {
+            callback(srcErr);
+            return;
+        }
+        // Calculate hashes of the source files, to check if they have changed.
+        builder.getCopyInfo(cmd, {
+            allowRemote: (cmd.name === 'ADD'),
+            allowDecompression: (cmd.name === 'ADD'),
+            source: source
+        }, function _getCopyInfoCb(ciErr, copyInfos) {
+            cmd.ctx.copyInfos = copyInfos;
+            callback(ciErr);
+        });
     });
 };
 Builder.prototype.cmdAdd = function cmdAdd(cmd, callback) {
@@ -709,30 +1777,133 @@ Builder.prototype.cmdAdd = function cmdAdd(cmd, callback) {
                 callback(err);
                 return;
             }
-            builder.performCopy(cmd, cmd.ctx.copyInfos, callback);
+            builder.downloadAndCopy(cmd, cmd.ctx.copyInfos, callback);
         });
         return;
     }
 
-    builder.performCopy(cmd, cmd.ctx.copyInfos, callback);
+    builder.downloadAndCopy(cmd, cmd.ctx.copyInfos, callback);
+};
+
+/**
+ * Perform the copy, after first downloading any remote copyInfos that were
+ * deferred by infoForRemoteCopy (i.e. those using 'ADD --checksum').
+ */
+Builder.prototype.downloadAndCopy =
+function downloadAndCopy(cmd, copyInfos, callback) {
+    var builder = this;
+
+    async.eachSeries(copyInfos, function _downloadCi(ci, next) {
+        if (!ci.remoteUrl) {
+            next();
+            return;
+        }
+        builder.downloadRemoteSource(ci.remoteUrl, ci.origPath, ci.source,
+                cmd.ctx.flags.checksum, function _downloadCb(err) {
+            if (!err) {
+                ci.remoteUrl = null;
+            }
+            next(err);
+        });
+    }, function _downloadAllCb(err) {
+        if (err) {
+            callback(err);
+            return;
+        }
+        builder.performCopy(cmd, copyInfos, callback);
+    });
+};
+
+Builder.prototype.addArgEntry = function addArgEntry(name, value) {
+    var builder = this;
+    // ARG entries are allowed to overwritten by the client - check if this one
+    // was overwritten.
+    if (builder.cliBuildArgs.hasOwnProperty(name)) {
+        value = builder.cliBuildArgs[name];
+        builder.log.debug('Updating buildarg %j to cli value %j', name, value);
+        // Mark cli name as used - as we check that all of these get consumed.
+        builder.consumedBuildArgs[name] = true;
+        // Remember this arg, as it will be included in the run command env.
+        builder.buildArgs[name] = value;
+    } else if (value !== null) {
+        builder.buildArgs[name] = value;
+    }
+
+    builder.buildArgsPlusDefaults[name] = value;
+};
+
+/**
+ * Process the ARG commands that come before the first FROM command. These
+ * global (meta) args are not part of any build stage, they can be used in the
+ * FROM commands and can be re-declared in a build stage (see cmdArg). Throws an
+ * error when there is a command other than ARG before the first FROM.
+ */
+Builder.prototype.setMetaArgs = function setMetaArgs(commands) {
+    var builder = this;
+    var cmd;
+    var i;
+    var idx;
+    var name;
+    var value;
+
+    for (i = 0; i < commands.length && commands[i].name !== 'FROM'; i++) {
+        cmd = commands[i];
+        if (cmd.name !== 'ARG') {
+            throw new Error('Please provide a source image with `from` '
+                + 'prior to commit');
+        }
+        if (!Array.isArray(cmd.args) || cmd.args.length !== 1) {
+            throw new Error('ARG requires exactly one argument definition');
+        }
+
+        try {
+            name = builder.expandMetaArgs(cmd.args[0]);
+        } catch (ex) {
+            throw dockerfile.getLocatedError(cmd, ex);
+        }
+        value = null;
+        idx = name.indexOf('=');
+        if (idx >= 0) {
+            value = name.slice(idx + 1);
+            name = name.slice(0, idx);
+        }
+        if (builder.cliBuildArgs.hasOwnProperty(name)) {
+            value = builder.cliBuildArgs[name];
+            builder.consumedBuildArgs[name] = true;
+        }
+        builder.metaArgs[name] = value;
+    }
+};
+
+/**
+ * Return the given string with the global args (see setMetaArgs) expanded.
+ */
+Builder.prototype.expandMetaArgs = function expandMetaArgs(str) {
+    var builder = this;
+    var env = Object.keys(builder.metaArgs).filter(function (name) {
+        return builder.metaArgs[name] !== null;
+    }).map(function (name) {
+        return util.format('%s=%s', name, builder.metaArgs[name]);
+    });
+
+    return shellparser.processWord(str, env, {
+        escape: builder.escapeToken,
+        strict: true
+    });
 };
 
-Builder.prototype.addArgEntry = function addArgEntry(name, value) {
+/**
+ * Reset the ARG entries back to just the default args - used when a new build
+ * stage is started, as ARG entries are scoped to the stage they are in.
+ */
+Builder.prototype.resetArgEntries = function resetArgEntries() {
     var builder = this;
-    // ARG entries are allowed to overwritten by the client - check if this one
-    // was overwritten.
-    if (builder.cliBuildArgs.hasOwnProperty(name)) {
-        value = builder.cliBuildArgs[name];
-        builder.log.debug('Updating buildarg %j to cli value %j', name, value);
-        // Delete cli name - as we check that all of these get consumed.
-        delete builder.cliBuildArgs[name];
-        // Remember this arg, as it will be included in the run command env.
-        builder.buildArgs[name] = value;
-    } else if (value !== null) {
-        builder.buildArgs[name] = value;
-    }
 
-    builder.buildArgsPlusDefaults[name] = value;
+    builder.buildArgs = {};
+    builder.buildArgsPlusDefaults = {};
+    DEFAULT_ARG_NAMES.map(function (arg) {
+        builder.addArgEntry(arg, null);
+    });
 };
 
 Builder.prototype.cmdArg = function cmdArg(cmd, callback) {
@@ -750,6 +1921,9 @@ Builder.prototype.cmdArg = function cmdArg(cmd, callback) {
         if (idx >= 0) {
             val = name.slice(idx+1);
             name = name.slice(0, idx);
+        } else if (builder.metaArgs.hasOwnProperty(name)) {
+            // Re-declaring a global arg picks up the global value.
+            val = builder.metaArgs[name];
         }
 
         builder.addArgEntry(name, val);
@@ -759,7 +1933,7 @@ Builder.prototype.cmdArg = function cmdArg(cmd, callback) {
 };
 
 Builder.prototype.cmdCmdPreFn = function cmdCmdPreFn(cmd, callback) {
-    fixShellCommandArguments(cmd);
+    fixShellCommandArguments(cmd, this.getShell());
     callback();
 };
 Builder.prototype.cmdCmd = function cmdCmd(cmd, callback) {
@@ -772,7 +1946,7 @@ Builder.prototype.cmdCmd = function cmdCmd(cmd, callback) {
 Builder.prototype.cmdEntrypointPreFn =
 function cmdEntrypointPreFn(cmd, callback)
 {
-    fixShellCommandArguments(cmd);
+    fixShellCommandArguments(cmd, this.getShell());
     callback();
 };
 Builder.prototype.cmdEntrypoint = function cmdEntrypoint(cmd, callback) {
@@ -839,14 +2013,210 @@ Builder.prototype.cmdExpose = function cmdExpose(cmd, callback) {
 
 Builder.prototype.cmdFrom = function cmdFrom(cmd, callback) {
     assert.string(cmd.args, 'FROM argument should be a string');
-    if (cmd.args === 'scratch') {
-        // Nothing to do.
-        this.setImageId(null);
-        this.setParentId(null);
-        callback();
+    var builder = this;
+    var fromArgs = parseFromArgs(cmd.args);
+    var imageName = fromArgs.imageName;
+    var numWords = cmd.args.trim().split(/\s+/).length;
+    var stage;
+
+    if (!imageName) {
+        callback(new Error(util.format('base name (%s) should not be blank',
+            cmd.raw.replace(/^\s*FROM\s+/i, ''))));
+        return;
+    }
+
+    if (numWords !== 1 && !fromArgs.stageName) {
+        callback(new Error('FROM requires either one or three arguments'));
+        return;
+    }
+
+    // Handle the 'FROM image AS name' format.
+    if (fromArgs.stageName) {
+        if (!STAGE_NAME_RE.test(fromArgs.stageName)) {
+            callback(new Error(util.format('invalid name for build stage: '
+                + '"%s", name can\'t start with a number or contain symbols',
+                fromArgs.stageName)));
+            return;
+        }
+        if (builder.getStage(fromArgs.stageName)) {
+            callback(new Error(util.format('duplicate name %s',
+                fromArgs.stageName)));
+            return;
+        }
+        builder.stageName = fromArgs.stageName;
+    }
+
+    if (imageName === 'scratch') {
+        builder.setImageId(null);
+        builder.setParentId(null);
+        if (builder.stageIndex === 0) {
+            // Nothing to do.
+            callback();
+            return;
+        }
+        // Clear out the filesystem of the previous stage.
+        builder.emitTask({
+            callback: function _reprovScratchCb(err) {
+                callback(err);
+            },
+            cmdName: cmd.name,
+            imageName: imageName,
+            type: 'image_reprovision'
+        });
+        return;
+    }
+
+    // Allow building on top of a previous build stage.
+    stage = builder.getStage(imageName);
+    if (stage) {
+        builder.log.debug('cmdFrom: using build stage %d (%s)', stage.index,
+            stage.name);
+        imageName = stage.imageDigest;
+    }
+
+    builder.handleFromImage(cmd, imageName, callback);
+};
+
+/**
+ * Parse the HEALTHCHECK cmd arguments and return the docker Healthcheck config
+ * object, throws an error when the arguments are invalid. The arguments are in
+ * the format:
+ *   [--interval=D] [--timeout=D] [--start-period=D] [--retries=N] CMD command
+ *   NONE
+ */
+function parseHealthcheck(cmd) {
+    var err = parseCommandFlags(cmd, Object.keys(HEALTHCHECK_DURATION_FLAGS)
+        .concat(['retries']));
+    var flags;
+    var healthcheck = {};
+    var json;
+    var match;
+    var rest;
+    var type;
+
+    if (err) {
+        throw err;
+    }
+    assert.string(cmd.args, cmd.name + ' argument should be a string');
+
+    flags = cmd.ctx.flags;
+    match = cmd.args.trim().match(/^(\S+)\s*([\s\S]*)$/);
+    if (!match) {
+        throw new Error('HEALTHCHECK requires at least one argument');
+    }
+    type = match[1].toUpperCase();
+    rest = match[2];
+
+    if (type === 'NONE') {
+        if (rest || !jsprim.isEmpty(flags)) {
+            throw new Error('HEALTHCHECK NONE takes no arguments');
+        }
+        return { Test: ['NONE'] };
+    }
+    if (type !== 'CMD') {
+        throw new Error(util.format('Unknown type %j in HEALTHCHECK (try CMD)',
+            match[1]));
+    }
+    if (!rest) {
+        throw new Error('Missing command after HEALTHCHECK CMD');
+    }
+
+    // The command can be in JSON (exec) form, or in shell form.
+    try {
+        json = JSON.parse(rest);
+        assert.arrayOfString(json);
+    } catch (e) {
+        json = null;
+    }
+    if (json) {
+        healthcheck.Test = ['CMD'].concat(json);
+    } else {
+        healthcheck.Test = ['CMD-SHELL', rest];
+    }
+
+    Object.keys(HEALTHCHECK_DURATION_FLAGS).forEach(function (name) {
+        var duration;
+        if (!flags.hasOwnProperty(name)) {
+            return;
+        }
+        duration = utils.parseDuration(String(flags[name]));
+        if (duration !== 0 && duration < MIN_HEALTHCHECK_DURATION) {
+            throw new Error(util.format('%s cannot be less than %s',
+                name, utils.formatDuration(MIN_HEALTHCHECK_DURATION)));
+        }
+        if (duration !== 0) {
+            healthcheck[HEALTHCHECK_DURATION_FLAGS[name]] = duration;
+        }
+    });
+
+    if (flags.hasOwnProperty('retries')) {
+        if (!/^[0-9]+$/.test(flags.retries)) {
+            throw new Error(util.format('Invalid value for retries: %s',
+                flags.retries));
+        }
+        if (parseInt(flags.retries, 10) > 0) {
+            healthcheck.Retries = parseInt(flags.retries, 10);
+        }
+    }
+
+    return healthcheck;
+}
+
+/**
+ * Format the healthcheck in the same way that docker does for the image
+ * history (which is the golang "%q" format of the HealthConfig struct), e.g.
+ *   &{["CMD-SHELL" "curl -f http://localhost/"] "5s" "0s" "0s" '\x00'}
+ */
+function formatHealthcheck(healthcheck) {
+    var goRuneEscapes = {
+        7: '\\a', 8: '\\b', 9: '\\t', 10: '\\n', 11: '\\v', 12: '\\f',
+        13: '\\r', 39: '\\\'', 92: '\\\\'
+    };
+    var retries = healthcheck.Retries || 0;
+    var retriesStr = goRuneEscapes[retries];
+
+    if (!retriesStr) {
+        if (retries < 0x20 || retries === 0x7f) {
+            retriesStr = '\\x' + ('0' + retries.toString(16)).slice(-2);
+        } else {
+            retriesStr = String.fromCharCode(retries);
+        }
+    }
+
+    return util.format('&{[%s] %s %s %s \'%s\'}',
+        healthcheck.Test.map(function (entry) {
+            return JSON.stringify(entry);
+        }).join(' '),
+        JSON.stringify(utils.formatDuration(healthcheck.Interval || 0)),
+        JSON.stringify(utils.formatDuration(healthcheck.Timeout || 0)),
+        JSON.stringify(utils.formatDuration(healthcheck.StartPeriod || 0)),
+        retriesStr);
+}
+
+Builder.prototype.cmdHealthcheckPreFn =
+function cmdHealthcheckPreFn(cmd, callback)
+{
+    try {
+        cmd.ctx.healthcheck = parseHealthcheck(cmd);
+    } catch (ex) {
+        callback(ex);
         return;
     }
-    this.handleFromImage(cmd, callback);
+    callback();
+};
+Builder.prototype.cmdHealthcheck = function cmdHealthcheck(cmd, callback) {
+    if (!cmd.ctx.healthcheck) {
+        // No preFn when called through 'docker commit'.
+        try {
+            cmd.ctx.healthcheck = parseHealthcheck(cmd);
+        } catch (ex) {
+            callback(ex);
+            return;
+        }
+    }
+    assert.object(cmd.ctx.healthcheck, 'cmd.ctx.healthcheck');
+    this.image.config.Healthcheck = jsprim.deepCopy(cmd.ctx.healthcheck);
+    callback();
 };
 
 Builder.prototype.cmdLabel = function cmdLabel(cmd, callback) {
@@ -872,8 +2242,234 @@ Builder.prototype.cmdOnBuild = function cmdOnBuild(cmd, callback) {
     callback();
 };
 
+/**
+ * Return the shell script to run for a (shell form) RUN command that uses
+ * heredocs. When the command is just a single heredoc, the heredoc content is
+ * the script (using the interpreter from a '#!' line, when there is one),
+ * otherwise the heredocs are passed along to the shell.
+ */
+function getHeredocRunScript(args, heredocs) {
+    var heredoc = heredocs[0];
+    var interpreter;
+
+    if (heredocs.length === 1 && args.trim() === heredoc.marker) {
+        if (heredoc.content.substr(0, 2) !== '#!') {
+            return heredoc.content;
+        }
+        interpreter = heredoc.content.split('\n')[0].slice(2).trim();
+        return util.format('%s <<\'%s\'\n%s%s', interpreter, heredoc.name,
+            heredoc.content, heredoc.name);
+    }
+
+    return [args].concat(heredocs.map(function _heredocRaw(h) {
+        return h.raw;
+    })).join('\n');
+}
+
+/**
+ * Parse a 'RUN --mount' flag value, e.g. 'type=cache,target=/root/.npm', and
+ * return the mount spec. Returns null for a secret mount when that (optional)
+ * secret was not provided. Throws an error when the value is not valid.
+ */
+Builder.prototype.parseRunMount = function parseRunMount(value) {
+    var builder = this;
+    var fields = {type: 'bind'};
+    var mount;
+    var secret;
+
+    if (typeof (value) !== 'string' || !value) {
+        throw new Error('The --mount flag requires a value');
+    }
+
+    value.split(',').forEach(function _parseMountField(field) {
+        var idx = field.indexOf('=');
+        var key = (idx >= 0 ? field.slice(0, idx) : field).toLowerCase();
+        var val = (idx >= 0 ? field.slice(idx + 1) : null);
+
+        if (key === 'type') {
+            fields.type = val;
+        } else if (['target', 'dst', 'destination'].indexOf(key) >= 0) {
+            fields.target = val;
+        } else if (key === 'id' || key === 'sharing') {
+            fields[key] = val;
+        } else if (['readonly', 'ro', 'required'].indexOf(key) >= 0) {
+            fields[key === 'ro' ? 'readonly' : key] =
+                (val === null || val === 'true');
+        } else if (key === 'rw' || key === 'readwrite') {
+            fields.readonly = !(val === null || val === 'true');
+        } else if ((key === 'uid' || key === 'gid') && /^[0-9]+$/.test(val)) {
+            fields[key] = Number(val);
+        } else if (key === 'mode' && /^[0-7]{3,4}$/.test(val)) {
+            fields.mode = parseInt(val, 8);
+        } else {
+            throw new Error(util.format('invalid mount field %s in %s', field,
+                value));
+        }
+    });
+
+    if (RUN_MOUNT_TYPES.indexOf(fields.type) === -1) {
+        throw new Error(util.format('unsupported mount type %s', fields.type));
+    }
+
+    if (fields.type === 'secret') {
+        if (fields.hasOwnProperty('sharing')
+            || fields.hasOwnProperty('readonly')) {
+
+            throw new Error(util.format('invalid mount field %s in %s',
+                fields.hasOwnProperty('sharing') ? 'sharing' : 'readonly',
+                value));
+        }
+        if (!fields.id && !fields.target) {
+            throw new Error(util.format('secret id or target is required in '
+                + '%s', value));
+        }
+        mount = {
+            gid: fields.gid || 0,
+            id: fields.id || path.basename(fields.target),
+            mode: (fields.hasOwnProperty('mode') ? fields.mode
+                : parseInt('0400', 8)),
+            required: Boolean(fields.required),
+            // Secrets given by value are written to a file when the command
+            // is run, see writeSecretFiles.
+            source: null,
+            target: fields.target,
+            type: 'secret',
+            uid: fields.uid || 0
+        };
+        mount.target = mount.target || '/run/secrets/' + mount.id;
+        secret = builder.secrets[mount.id];
+        if (!secret) {
+            if (mount.required) {
+                throw new Error(util.format('secret %s not found', mount.id));
+            }
+            return null;
+        }
+        mount.source = secret.file || null;
+
+    } else {
+        if (fields.hasOwnProperty('required')) {
+            throw new Error(util.format('invalid mount field required in %s',
+                value));
+        }
+        if (!fields.target) {
+            throw new Error(util.format('mount target is required in %s',
+                value));
+        }
+        mount = {
+            gid: fields.gid || 0,
+            id: fields.id || null,
+            mode: (fields.hasOwnProperty('mode') ? fields.mode
+                : parseInt('0755', 8)),
+            readonly: Boolean(fields.readonly),
+            sharing: fields.sharing || 'shared',
+            source: null,
+            target: fields.target,
+            type: 'cache',
+            uid: fields.uid || 0
+        };
+        if (CACHE_MOUNT_SHARING_MODES.indexOf(mount.sharing) === -1) {
+            throw new Error(util.format(
+                'unsupported cache mount sharing mode %s', mount.sharing));
+        }
+    }
+
+    // Relative targets are relative to the working directory.
+    mount.target = path.resolve(builder.image.config.WorkingDir || '/',
+        mount.target);
+
+    if (mount.type === 'cache') {
+        mount.id = mount.id || mount.target;
+        // The cache directory is keyed on the id, and lives outside of the
+        // image.
+        mount.source = path.join(builder.workDir, 'cache',
+            crypto.createHash('sha256').update(mount.id).digest('hex'));
+    }
+
+    return mount;
+};
+
+/**
+ * Write the secrets that were given by value (rather than by file) for the
+ * given secret mounts into (private) files in the work dir, and set them as
+ * the mount source. Calls callback(err, cleanup), where cleanup is a
+ * function(callback) which removes the written files again.
+ */
+Builder.prototype.writeSecretFiles = function writeSecretFiles(mounts,
+        callback) {
+    var builder = this;
+    var secretsDir = path.join(builder.workDir, 'secrets');
+    var written = [];
+
+    function cleanup(cb) {
+        async.eachSeries(written, fs.unlink, cb);
+    }
+
+    async.eachSeries(mounts, function _writeSecret(mount, next) {
+        if (mount.type !== 'secret' || mount.source) {
+            next();
+            return;
+        }
+        var filepath = path.join(secretsDir, uuid.v4());
+        mkdirp(secretsDir, {mode: parseInt('0700', 8)}, function (err) {
+            if (err) {
+                next(err);
+                return;
+            }
+            fs.writeFile(filepath, builder.secrets[mount.id].value,
+                    {mode: parseInt('0600', 8)}, function _writeCb(wErr) {
+                if (!wErr) {
+                    written.push(filepath);
+                    mount.source = filepath;
+                }
+                next(wErr);
+            });
+        });
+    }, function _writeSecretsCb(err) {
+        if (err) {
+            cleanup(function _cleanupCb() {
+                callback(err);
+            });
+            return;
+        }
+        callback(null, cleanup);
+    });
+};
+
 Builder.prototype.cmdRunPreFn = function cmdRunPreFn(cmd, callback) {
-    fixShellCommandArguments(cmd);
+    var builder = this;
+    var err = parseCommandFlags(cmd, ['mount'], ['mount']);
+
+    if (err) {
+        callback(err);
+        return;
+    }
+    // Flags are stripped from the (shell form) args, so what remains may be
+    // in JSON form.
+    if (cmd.ctx.flags.mount && /^\s*\[/.test(cmd.args)) {
+        try {
+            var jsonArgs = JSON.parse(cmd.args);
+            assert.arrayOfString(jsonArgs);
+            cmd.args = jsonArgs;
+        } catch (e) {
+            // Not JSON, so it is the shell form.
+        }
+    }
+    try {
+        cmd.ctx.mounts = (cmd.ctx.flags.mount || []).map(
+            builder.parseRunMount.bind(builder)).filter(Boolean);
+    } catch (e) {
+        callback(e);
+        return;
+    }
+
+    if (cmd.heredocs) {
+        if (typeof (cmd.args) !== 'string') {
+            callback(new Error('RUN heredocs require the shell form'));
+            return;
+        }
+        cmd.args = getHeredocRunScript(cmd.args, cmd.heredocs);
+    }
+    fixShellCommandArguments(cmd, builder.getShell());
     callback();
 };
 Builder.prototype.cmdRun = function cmdRun(cmd, callback) {
@@ -881,14 +2477,50 @@ Builder.prototype.cmdRun = function cmdRun(cmd, callback) {
     this.runContainerCommand(cmd, callback);
 };
 
+Builder.prototype.cmdShellPreFn = function cmdShellPreFn(cmd, callback) {
+    var shell = cmd.args;
+
+    if (typeof (shell) === 'string') {
+        try {
+            shell = JSON.parse(shell);
+            assert.arrayOfString(shell);
+        } catch (e) {
+            callback(new Error(
+                'SHELL requires the arguments to be in JSON form'));
+            return;
+        }
+    }
+    if (!Array.isArray(shell) || shell.length === 0) {
+        callback(new Error('SHELL requires at least one argument'));
+        return;
+    }
+    cmd.args = shell;
+    callback();
+};
+Builder.prototype.cmdShell = function cmdShell(cmd, callback) {
+    assert.arrayOfString(cmd.args, cmd.name + ' argument should be an array');
+    this.image.config.Shell = cmd.args.slice();  // a copy
+    callback();
+};
+
 Builder.prototype.cmdStopSignal = function cmdStopSignal(cmd, callback) {
     assert.string(cmd.args, cmd.name + ' argument should be a string');
+    // The number of words has been checked in processSplitWords.
+    if (!cmd.args) {
+        callback(new Error('STOPSIGNAL requires exactly one argument'));
+        return;
+    }
     this.image.config.StopSignal = cmd.args;
     callback();
 };
 
 Builder.prototype.cmdUser = function cmdUser(cmd, callback) {
     assert.string(cmd.args, cmd.name + ' argument should be a string');
+    // The number of words has been checked in processSplitWords.
+    if (!cmd.args) {
+        callback(new Error('USER requires exactly one argument'));
+        return;
+    }
     this.image.config.User = cmd.args;
     callback();
 };
@@ -947,11 +2579,15 @@ Builder.commandMap = {
     'EXPOSE':     { fn: Builder.prototype.cmdExpose,
                     preFn: Builder.prototype.cmdExposePreFn },
     'FROM':       { fn: Builder.prototype.cmdFrom },
+    'HEALTHCHECK': { fn: Builder.prototype.cmdHealthcheck,
+                    preFn: Builder.prototype.cmdHealthcheckPreFn },
     'LABEL':      { fn: Builder.prototype.cmdLabel },
     'MAINTAINER': { fn: Builder.prototype.cmdMaintainer },
     'ONBUILD':    { fn: Builder.prototype.cmdOnBuild },
     'RUN':        { fn: Builder.prototype.cmdRun,
                     preFn: Builder.prototype.cmdRunPreFn },
+    'SHELL':      { fn: Builder.prototype.cmdShell,
+                    preFn: Builder.prototype.cmdShellPreFn },
     'STOPSIGNAL': { fn: Builder.prototype.cmdStopSignal },
     'USER':       { fn: Builder.prototype.cmdUser },
     'VOLUME':     { fn: Builder.prototype.cmdVolume },
@@ -965,8 +2601,12 @@ Builder.prototype.step = function step(cmd, callback) {
     builder.stepNo += 1;
     builder.log.debug('Starting build step %d', builder.stepNo);
 
+    if (cmd.name === 'FROM') {
+        builder.startStage();
+    }
+
+    // The image id is set once the step is done (see doPostStep).
     builder.setParentId(builder.imageDigest);
-    builder.setImageId();
 
     builder.doStep(cmd, function _doStepCb(err) {
         if (err) {
@@ -989,8 +2629,8 @@ Builder.prototype.doStep = function doStep(cmd, callback) {
 
     // The first command has to be the `FROM` command.
     if (builder.stepNo === 0 && cmd.name !== 'FROM') {
-        callback(new Error('Please provide a source image with '
-            + '`from` prior to commit'));
+        callback(dockerfile.getLocatedError(cmd, 'Please provide a source '
+            + 'image with `from` prior to commit'));
         return;
     }
 
@@ -1001,13 +2641,21 @@ Builder.prototype.doStep = function doStep(cmd, callback) {
         function checkCache(next) {
             builder.doCheckCache(cmd, next);
         },
+        function snapshotRootfs(next) {
+            builder.takeRootfsSnapshot(cmd, next);
+        },
         function actualStep(next) {
             builder.doActualStep(cmd, next);
         },
+        function layerChangeset(next) {
+            builder.emitLayerChangeset(cmd, next);
+        },
         function postStep(next) {
             builder.doPostStep(cmd, next);
         }
-    ], callback);
+    ], function _doStepCb(err) {
+        callback(err ? dockerfile.getLocatedError(cmd, err) : err);
+    });
 };
 
 
@@ -1016,7 +2664,7 @@ Builder.prototype.cmdAllowsVariables =
 function cmdAllowsVariables(cmd, callback)
 {
     return [
-        'ADD', 'ARG', 'COPY', 'ENV', 'EXPOSE', 'LABEL', 'ONBUILD',
+        'ADD', 'ARG', 'COPY', 'ENV', 'EXPOSE', 'FROM', 'LABEL', 'ONBUILD',
         'STOPSIGNAL', 'USER', 'VOLUME', 'WORKDIR'
     ].indexOf(cmd.name) >= 0;
 };
@@ -1034,7 +2682,12 @@ Builder.prototype.doPreStep = function doPreStep(cmd, callback) {
     }
 
     if (builder.cmdAllowsVariables(cmd)) {
-        builder.updateCommandVariables(cmd);
+        try {
+            builder.updateCommandVariables(cmd);
+        } catch (ex) {
+            callback(ex);
+            return;
+        }
     }
 
     if ((typeof (cmdHandler) === 'undefined')
@@ -1120,7 +2773,6 @@ Builder.prototype.doCheckCache = function doCheckCache(cmd, callback) {
                 }
                 // Start a new image layer for the current build step.
                 builder.setParentId(builder.imageDigest);
-                builder.setImageId();
                 callback();
             });
             return;
@@ -1158,16 +2810,38 @@ Builder.prototype.doActualStep = function doActualStep(cmd, callback) {
 
 // The individual file/directory hashes are already built, so this summarizes
 // and returns one individual hash that covers all files in the given copyInfos.
-function generateHashForCopyInfos(copyInfos) {
-    var hash = copyInfos[0].hash;
+// The ownership and mode flags (when set) are included in the hash, as they
+// change the resulting files.
+function generateHashForCopyInfos(copyInfos, flags) {
+    var ci = copyInfos[0];
+    var hash = ci.hash;
+    var hasher;
+
+    // A git repository is identified by the resolved commit, along with the
+    // subdirectory used and whether the .git directory is kept.
+    if (copyInfos.length === 1 && ci.gitCommit) {
+        hash = 'git:' + ci.gitCommit;
+        if (ci.origPath !== '.' || (flags && flags['keep-git-dir'])) {
+            hasher = crypto.createHash('sha256');
+            hasher.update(util.format('%s,subdir=%s,keep-git-dir=%s', hash,
+                ci.origPath, Boolean(flags && flags['keep-git-dir'])));
+            hash = 'git:' + hasher.digest('hex');
+        }
+    }
     if (copyInfos.length > 1) {
         var hashes = copyInfos.map(function copyInfosHashJoin(ci) {
             return ci.hash;
         });
-        var hasher = crypto.createHash('sha256');
+        hasher = crypto.createHash('sha256');
         hasher.update(hashes.join(','));
         hash = 'multi:' + hasher.digest('hex');
     }
+    if (flags && (flags.chown || flags.chmod)) {
+        hasher = crypto.createHash('sha256');
+        hasher.update(util.format('%s,chown=%s,chmod=%s', hash,
+            flags.chown || '', flags.chmod || ''));
+        hash = hash.split(':')[0] + ':' + hasher.digest('hex');
+    }
     return hash;
 }
 
@@ -1181,7 +2855,17 @@ Builder.prototype.doPostStep = function doPostStep(cmd, callback) {
     image.container_config = jsprim.deepCopy(image.config);
     if (!cmd.ctx.isCached) {
         image.container_config.Cmd = builder.getNopCmdForCommand(cmd);
-        image.created = (new Date()).toISOString();
+        builder.setImageCreated();
+        // A cached image keeps the digest (and history) of the image it was
+        // loaded from.
+        if (cmd.name !== 'FROM') {
+            builder.addHistory(image.container_config.Cmd.join(' '),
+                LAYER_COMMANDS.indexOf(cmd.name) === -1);
+            if (LAYER_COMMANDS.indexOf(cmd.name) >= 0) {
+                builder.addLayerDiffId(cmd.ctx.diffId, cmd.name !== 'RUN');
+            }
+            builder.setImageId();
+        }
     }
     builder.storeImageLayer(cmd);
 
@@ -1189,6 +2873,81 @@ Builder.prototype.doPostStep = function doPostStep(cmd, callback) {
 };
 
 
+/**
+ * Snapshot the container root before a (not cached) ADD, COPY or RUN step,
+ * when snapshotLayers is set. The file hashes of the previous snapshot are
+ * reused for the unchanged files.
+ */
+Builder.prototype.takeRootfsSnapshot =
+function takeRootfsSnapshot(cmd, callback)
+{
+    var builder = this;
+
+    if (!builder.snapshotLayers || cmd.ctx.isCached
+        || LAYER_COMMANDS.indexOf(cmd.name) === -1) {
+
+        callback();
+        return;
+    }
+
+    var opts = {previous: builder.rootfsSnapshot};
+    snapshot.takeSnapshot(builder.containerRootDir, opts,
+            function _snapshotCb(err, snap) {
+        if (err) {
+            callback(err);
+            return;
+        }
+        builder.rootfsSnapshot = snap;
+        cmd.ctx.rootfsSnapshot = snap;
+        callback();
+    });
+};
+
+/**
+ * Diff the container root against the snapshot taken before the step (see
+ * takeRootfsSnapshot), and emit the changes in a 'layer_changeset' task. The
+ * layer diffId given back by the task handler is stored in cmd.ctx.diffId.
+ */
+Builder.prototype.emitLayerChangeset =
+function emitLayerChangeset(cmd, callback)
+{
+    var builder = this;
+    var before = cmd.ctx.rootfsSnapshot;
+
+    if (!before) {
+        callback();
+        return;
+    }
+    // The command is kept in the image layers, don't hold onto the snapshot.
+    delete cmd.ctx.rootfsSnapshot;
+
+    snapshot.takeSnapshot(builder.containerRootDir, {previous: before},
+            function _snapshotCb(err, after) {
+        if (err) {
+            callback(err);
+            return;
+        }
+
+        var changes = snapshot.diffSnapshots(before, after);
+        builder.rootfsSnapshot = after;
+        builder.log.debug('Layer changeset for build step %d has %d changes',
+            builder.stepNo, changes.length);
+
+        builder.emitTask({
+            callback: function _layerChangesetCb(taskErr, result) {
+                if (!taskErr && result && result.diffId) {
+                    cmd.ctx.diffId = result.diffId;
+                }
+                callback(taskErr);
+            },
+            changes: changes,
+            rootDir: builder.containerRootDir,
+            type: 'layer_changeset'
+        });
+    });
+};
+
+
 Builder.prototype.sendCommandDetails = function sendCommandDetails(cmd) {
     var builder = this;
 
@@ -1207,8 +2966,12 @@ Builder.prototype.sendLayerId = function sendLayerId() {
     }
 };
 
+/*
+ * Run the ONBUILD triggers (from the base image of the fromCmd), the trigger
+ * commands take the Dockerfile location of the fromCmd.
+ */
 Builder.prototype.runOnBuildTriggers =
-function runOnBuildTriggers(onBuildTriggers, callback)
+function runOnBuildTriggers(onBuildTriggers, fromCmd, callback)
 {
     var builder = this;
 
@@ -1228,12 +2991,23 @@ function runOnBuildTriggers(onBuildTriggers, callback)
 
     async.eachSeries(onBuildTriggers, function (trigger, next) {
         builder.log.debug('runOnBuildTriggers: trigger %j', trigger);
-        var commands = dockerFileParser.parse(trigger);
+        var commands;
+        try {
+            commands = dockerfile.parse(trigger);
+        } catch (ex) {
+            next(ex);
+            return;
+        }
         if (commands.length !== 1) {
-            next(new Error(util.format('Expected 1 command for OnBuild '
-                + 'trigger %j, got %d', trigger, commands.length)));
+            next(dockerfile.getLocatedError(fromCmd, util.format(
+                'Expected 1 command for OnBuild trigger %j, got %d', trigger,
+                commands.length)));
             return;
         }
+        ['lineno', 'startLine', 'endLine', 'original'].forEach(
+            function _setTriggerLocation(field) {
+                commands[0][field] = fromCmd[field];
+            });
         builder.step(commands[0], next);
     }, function onBuildCb(stepErr) {
         // Remove OnBuild triggers from the config when done, since the
@@ -1245,23 +3019,31 @@ function runOnBuildTriggers(onBuildTriggers, callback)
 
 
 /**
- * copyInfo holds information for file copying from the context into the zone.
+ * copyInfo holds information for file copying from the context (or other copy
+ * source) into the zone.
  */
-function copyInfo(builder, origPath, destPath, allowDecompression) {
+function copyInfo(builder, origPath, destPath, allowDecompression, source) {
     this.builder = builder;
+    this.source       = source;    // Copy source (see getContextSource).
     this.origPath     = origPath;  // Path given in Dockerfile.
     this.destPath     = destPath;  // Dest given in Dockerfile.
     this.hash         = '';        // File (or dir) sha256 checksum.
     this.decompress   = allowDecompression; // If file decompress is allowed.
     this.tmpDir       = '';    // Some files will extract info to a tmpDir.
     this.children     = [];    // Child ci entries (for directories);
+    this.uid          = null;  // Owner uid (from --chown), null when not set.
+    this.gid          = null;  // Owner gid (from --chown), null when not set.
+    this.mode         = null;  // File mode (from --chmod), null when not set.
+    this.remoteUrl    = null;  // Url still to be downloaded (ADD --checksum).
+    this.gitCommit    = null;  // Commit sha, for a git repository source.
 }
 
 // Abs path to actual context file.
 lazyProperty(copyInfo.prototype, 'contextPath',
 function copyInfo_contextPath()
 {
-    var src = path.join(this.builder.contextExtractDir, this.origPath);
+    var srcDir = this.source.extractDir;
+    var src = path.join(srcDir, this.origPath);
 
     // Sanity check that path is still inside the context extract dir.
     try {
@@ -1275,12 +3057,12 @@ function copyInfo_contextPath()
         assert.ok(fs.lstatSync(src).isSymbolicLink(),
             'failed realpath must be a symlink');
     }
-    var extDirWithSlash = this.builder.contextExtractDir + '/';
+    var extDirWithSlash = srcDir + '/';
 
     var pathOk = (src.substr(0, extDirWithSlash.length) === extDirWithSlash)
-        || (src === this.builder.contextExtractDir);
+        || (src === srcDir);
     if (!pathOk) {
-        throw new ForbiddenPathException(
+        throw new utils.ForbiddenPathException(
             // Note that there is a deliberate space at the end of this string,
             // to match the docker/docker build test cases.
             util.format('Forbidden path outside the build context: %s ',
@@ -1294,7 +3076,7 @@ function copyInfo_contextPath()
 lazyProperty(copyInfo.prototype, 'containerAbsPath',
 function copyInfo_containerAbsPath()
 {
-    return this.contextPath.slice(this.builder.contextExtractDir.length);
+    return this.contextPath.slice(this.source.extractDir.length);
 });
 
 // Return the basename of the origPath.
@@ -1414,108 +3196,92 @@ copyInfo.prototype.getAllChildFiles = function copyInfo_getAllChildFiles() {
 
 Builder.prototype.getCopyInfoFromOpts = function getCopyInfoFromOpts(opts) {
     return new copyInfo(this, opts.origPath, opts.destPath,
-                        opts.allowDecompression);
+                        opts.allowDecompression, opts.source);
 };
 
 
 /**
- * Given an absolute target container path, resolves all directory symlinks to
- * and returns the real container path (i.e. no symlinks). Guarantees that the
- * resulting path remains underneath the given root directory.
+ * Given a target container path, resolve all directory symlinks to the absolute
+ * container path (i.e. no symlinks) and ensures the resulting path remains
+ * inside the container root.
  */
-function getRealpathFromRootDir(target, outsideRootDir, loopCount) {
-    if (typeof (loopCount) === 'undefined') {
-        loopCount = 0;
-    } else if (loopCount > 20) {
-        // Bail out - too many symlinks.
-        throw new Error('too many symlinks in desination path: ' + target);
-    }
-    var containerPath = '/';
-    var hadTrailingSlash = (target.slice(-1) === '/');
-    var i;
-    var lastContainerPath;
-    var lstat;
-    var outsidePath = outsideRootDir; // full absolute path outside container
-    var rootDirWithSlash = outsideRootDir + '/';
-    var targetSplit = path.normalize(target).split('/');
-
-    if (targetSplit[0] === '') {
-        // Chop first / as that's the root directory.
-        targetSplit = targetSplit.slice(1);
-    }
-    if (targetSplit[targetSplit.length - 1] === '') {
-        // Chop last (and empty) directory - i.e. paths that had trailing slash
-        targetSplit = targetSplit.slice(0, -1);
+Builder.prototype.containerRealpath = function containerRealpath(target) {
+    var builder = this;
+    var containerPath = target;
+    if (containerPath[0] !== '/') {
+        // The path is relative to the current WorkingDir - make it absolute.
+        containerPath = path.join((builder.image.config.WorkingDir || '/'),
+            containerPath);
     }
+    return utils.getRealpathFromRootDir(containerPath,
+        builder.containerRootDir);
+};
 
-    // For every directory inside of the container, check if it's a symlink, and
-    // if it is, then find that symlink path relative to the container root.
-    for (i = 0; i < targetSplit.length; i++) {
-        lastContainerPath = containerPath;
-        containerPath = path.join(containerPath, targetSplit[i]);
-        outsidePath = path.join(outsideRootDir, containerPath);
 
-        // Assert it's not outside of the container root.
-        if ((outsidePath.substr(0, rootDirWithSlash.length)
-            !== rootDirWithSlash)
-            && (outsidePath !== outsideRootDir)) {
+/**
+ * Return the numeric id for the given user (or group) name, using the passwd
+ * (or group) file inside of the container. Numeric names are returned as is.
+ */
+Builder.prototype.lookupContainerId =
+function lookupContainerId(name, kind)
+{
+    assert.string(name, 'name');
+    assert.ok(kind === 'user' || kind === 'group', 'kind is user or group');
 
-            throw new ForbiddenPathException(
-                // Note that there is a deliberate space at the end of this
-                // string, to matched the docker/docker build test cases.
-                util.format('Forbidden path outside the build context: %s ',
-                    target));
-        }
+    var builder = this;
+    var contents = '';
+    var filename = (kind === 'user' ? 'passwd' : 'group');
+    var id = -1;
 
-        try {
-            lstat = fs.lstatSync(outsidePath);
-        } catch (e) {
-            if (e.code === 'ENOENT') {
-                // Doesn't exist - that's fine, it will be created later.
-                if ((i+1) < targetSplit.length) {
-                    containerPath = path.join(containerPath,
-                        targetSplit.slice(i+1).join('/'));
-                }
-                break;
-            }
+    if (/^[0-9]+$/.test(name)) {
+        return parseInt(name, 10);
+    }
+
+    try {
+        contents = fs.readFileSync(path.join(builder.containerRootDir,
+            builder.containerRealpath('/etc/' + filename)), 'utf8');
+    } catch (e) {
+        if (e.code !== 'ENOENT') {
             throw e;
         }
-        if (lstat.isSymbolicLink()) {
-            containerPath = fs.readlinkSync(outsidePath);
-            // If it's a relative path - then it's from the last dir (i.e. the
-            // parent of containerPath).
-            if (containerPath[0] !== '/') {
-                // Relative from the current directory.
-                containerPath = path.join(lastContainerPath, containerPath);
-            }
-            // Now go and resolve this new path.
-            containerPath = getRealpathFromRootDir(containerPath,
-                outsideRootDir, loopCount + 1);
-        }
     }
 
-    if (hadTrailingSlash && containerPath.slice(-1) !== '/') {
-        containerPath += '/';
-    }
+    // Both passwd and group entries have the name first and the id third:
+    //   name:password:id:...
+    contents.split('\n').some(function _idLineFind(line) {
+        var fields = line.split(':');
+        if (fields[0] === name && fields.length >= 3
+            && /^[0-9]+$/.test(fields[2])) {
 
-    return containerPath;
-}
+            id = parseInt(fields[2], 10);
+            return true;
+        }
+        return false;
+    });
+
+    if (id === -1) {
+        throw new Error(util.format('unable to find %s %s: no matching '
+            + 'entries in %s file', kind, name, filename));
+    }
+    return id;
+};
 
 
 /**
- * Given a target container path, resolve all directory symlinks to the absolute
- * container path (i.e. no symlinks) and ensures the resulting path remains
- * inside the container root.
+ * Return the ownership for the given '--chown=user[:group]' value, as a map of:
+ *   { uid: Number, gid: Number }
+ * When there is no group given, the gid is the same number as the uid.
  */
-Builder.prototype.containerRealpath = function containerRealpath(target) {
+Builder.prototype.getChownIds = function getChownIds(chown) {
     var builder = this;
-    var containerPath = target;
-    if (containerPath[0] !== '/') {
-        // The path is relative to the current WorkingDir - make it absolute.
-        containerPath = path.join((builder.image.config.WorkingDir || '/'),
-            containerPath);
+    var parts = chown.split(':');
+    var uid = builder.lookupContainerId(parts[0], 'user');
+    var gid = uid;
+
+    if (parts.length > 1) {
+        gid = builder.lookupContainerId(parts[1], 'group');
     }
-    return getRealpathFromRootDir(containerPath, builder.containerRootDir);
+    return { uid: uid, gid: gid };
 };
 
 
@@ -1531,6 +3297,7 @@ Builder.prototype.getCopyInfo = function getCopyInfo(cmd, opts, callback) {
     assert.object(opts, 'opts');
     assert.bool(opts.allowRemote, 'opts.allowRemote');
     assert.bool(opts.allowDecompression, 'opts.allowDecompression');
+    assert.optionalObject(opts.source, 'opts.source');
 
     if (cmd.args.length < 2) {
         callback(new Error(util.format('Invalid %s format - at least two '
@@ -1583,7 +3350,8 @@ Builder.prototype.getCopyInfo = function getCopyInfo(cmd, opts, callback) {
         destPath: resolvedDest,
         allowRemote: opts.allowRemote,
         allowDecompression: opts.allowDecompression,
-        allowWildcards: true
+        allowWildcards: true,
+        source: opts.source || builder.getContextSource()
     };
 
     function cciMapFn(fpath, cb) {
@@ -1633,6 +3401,7 @@ function calculateCopyInfo(cmd, opts, callback)
     assert.bool(opts.allowRemote, 'opts.allowRemote');
     assert.bool(opts.allowDecompression, 'opts.allowDecompression');
     assert.bool(opts.allowWildcards, 'opts.allowWildcards');
+    assert.object(opts.source, 'opts.source');
 
     var builder = this;
 
@@ -1646,6 +3415,18 @@ function calculateCopyInfo(cmd, opts, callback)
         opts.origPath = opts.origPath.substr(2);
     }
 
+    // A git repository url, clone it and use the commit as the hashcode.
+    var gitUrl = git.parseGitUrl(opts.origPath);
+    if (gitUrl) {
+        if (!opts.allowRemote) {
+            callback(new Error('Source can\'t be a URL for ' + cmd.name));
+            return;
+        }
+
+        builder.infoForGitCopy(cmd, gitUrl, opts, callback);
+        return;
+    }
+
     var u = null;
 
     // In the remote/URL case, download it and gen its hashcode
@@ -1697,7 +3478,7 @@ function calculateCopyInfo(cmd, opts, callback)
         // Must be a directory.
         builder.infoForDirectoryCopy(ci, callback);
     } catch (ex) {
-        if (ex instanceof ForbiddenPathException) {
+        if (ex instanceof utils.ForbiddenPathException) {
             callback(ex);
             return;
         }
@@ -1749,7 +3530,8 @@ Builder.prototype.loadChildInfo = function loadChildInfo(ci, callback) {
             return builder.getCopyInfoFromOpts({
                 origPath: path.join(ci.origPath, name),
                 destPath: path.join(ci.destPath, name),
-                allowDecompression: ci.allowDecompression
+                allowDecompression: ci.allowDecompression,
+                source: ci.source
             });
         });
         var ciDirs = ci.children.filter(function infoLoad_filter(cci) {
@@ -1773,6 +3555,7 @@ function infoForWildcardCopy(cmd, opts, callback)
     var paths;
     var pattern = opts.origPath;
     var patternSplit = pattern.split('/');
+    var srcDir = opts.source.extractDir;
 
     /**
      * Split the match string using '/' separators, then walk the target dir
@@ -1783,9 +3566,9 @@ function infoForWildcardCopy(cmd, opts, callback)
 
     function getMatchedContainerPaths(contDir, regex, allowFilePaths) {
         // Ensure the container dir remains inside the container.
-        contDir = getRealpathFromRootDir(contDir, builder.contextExtractDir);
+        contDir = utils.getRealpathFromRootDir(contDir, srcDir);
 
-        var outsideDir = path.join(builder.contextExtractDir, contDir);
+        var outsideDir = path.join(srcDir, contDir);
         var names = fs.readdirSync(outsideDir);
         // Filter names down to ones that match the regex.
         names = names.filter(function _wildcardMatchEntriesFilterFn(name) {
@@ -1799,8 +3582,8 @@ function infoForWildcardCopy(cmd, opts, callback)
             var outPath = path.join(outsideDir, name);
             var lstat = fs.lstatSync(outPath);
             if (lstat.isSymbolicLink()) {
-                outPath = getRealpathFromRootDir(path.join(contDir, name),
-                    builder.contextExtractDir);
+                outPath = utils.getRealpathFromRootDir(path.join(contDir, name),
+                    srcDir);
                 lstat = fs.lstatSync(outPath);
             }
             if (lstat.isDirectory() || (allowFilePaths && lstat.isFile())) {
@@ -1836,7 +3619,8 @@ function infoForWildcardCopy(cmd, opts, callback)
         var ci = builder.getCopyInfoFromOpts({
             origPath: containerPath,
             destPath: opts.destPath,
-            allowDecompression: opts.allowDecompression
+            allowDecompression: opts.allowDecompression,
+            source: opts.source
         });
         copyInfos.push(ci);
         try {
@@ -1861,110 +3645,261 @@ function infoForWildcardCopy(cmd, opts, callback)
     });
 };
 
+/**
+ * Return the http(s) proxy settings from the build args, in the format used by
+ * the download module.
+ */
+Builder.prototype.getProxySettings = function getProxySettings() {
+    var args = this.buildArgs;
+
+    return {
+        http: args.HTTP_PROXY || args.http_proxy || null,
+        https: args.HTTPS_PROXY || args.https_proxy || null,
+        no: args.NO_PROXY || args.no_proxy || null
+    };
+};
+
+/**
+ * Return the filename for the given url (as returned by url.parse), which is
+ * the last component of the url path, or an empty string when there is none.
+ */
+function getUrlFilename(u) {
+    var urlPath = decodeURIComponent(u.pathname || '').replace(/\/+$/, '');
+    return urlPath.split('/').pop();
+}
+
+/**
+ * Download the remote url into the given copy source, as file `filename`.
+ * When a checksum (e.g. 'sha256:<hex>') is given, the downloaded content must
+ * match it, which is verified before the copy source tarfile is created (and
+ * thus before anything can be copied into the container). Calls
+ * callback(err, digest) with the sha256 digest (hex) of the content.
+ */
+Builder.prototype.downloadRemoteSource =
+function downloadRemoteSource(rawUrl, filename, source, checksum, callback)
+{
+    var builder = this;
+    var filepath = path.join(source.extractDir, filename);
+    var lastPercent = -1;
+
+    function onProgress(numBytes, totalBytes) {
+        if (totalBytes === null) {
+            return;
+        }
+        var percent = Math.floor(numBytes * 10 / totalBytes) * 10;
+        if (percent > lastPercent) {
+            lastPercent = percent;
+            builder.emitStdout(util.format('Downloading %s: %d%% (%d/%d '
+                + 'bytes)\n', rawUrl, percent, numBytes, totalBytes));
+        }
+    }
+
+    builder.log.debug('downloadRemoteSource: downloading %s to %s',
+        rawUrl, filepath);
+
+    async.waterfall([
+        function makeSourceDir(next) {
+            mkdirp(source.extractDir, function (err) {
+                next(err);
+            });
+        },
+        function downloadUrl(next) {
+            download.download({
+                filepath: filepath,
+                onProgress: onProgress,
+                proxies: builder.getProxySettings(),
+                url: rawUrl
+            }, next);
+        },
+        function verifyChecksum(result, next) {
+            if (checksum && checksum !== 'sha256:' + result.digest) {
+                fs.unlink(filepath, function () {
+                    next(new Error(util.format('checksum mismatch for %s: '
+                        + 'expected %s, got sha256:%s', rawUrl, checksum,
+                        result.digest)));
+                });
+                return;
+            }
+            next(null, result);
+        },
+        function createSource(result, next) {
+            if (lastPercent === -1) {
+                // No content length was given, so no progress was reported.
+                builder.emitStdout(util.format('Downloading %s: %d bytes\n',
+                    rawUrl, result.size));
+            }
+            // Set the mtime to the Last-Modified header value if present,
+            // otherwise the mtime is zero (the epoch).
+            var mtime = (result.lastModified
+                ? Math.floor(result.lastModified.getTime() / 1000) : 0);
+            try {
+                fs.utimesSync(filepath, mtime, mtime);
+                utils.createTarfileSync(source.tarfile, [ {
+                    filepath: filepath,
+                    mode: parseInt('0600', 8),
+                    mtime: mtime,
+                    name: filename
+                } ]);
+            } catch (e) {
+                next(e);
+                return;
+            }
+            next(null, result.digest);
+        }
+    ], callback);
+};
+
+/**
+ * Return the copyInfo for the remote url, which gets its own copy source
+ * (under the context dir). Like docker, the downloaded file gets a 0600 mode,
+ * the mtime from the Last-Modified header (if any) and is never decompressed.
+ *
+ * When the expected checksum is known ('ADD --checksum'), that is used as the
+ * cache key and the download is deferred until the copy is performed, so a
+ * cached step never needs to download the url.
+ */
 Builder.prototype.infoForRemoteCopy =
 function infoForRemoteCopy(cmd, u, opts, callback)
 {
-    callback(new Error(util.format('Not implemented: Add Remote: %j', cmd)));
-    return;
-
-// ci = new copyInfo();
-// ci.origPath = opts.origPath;
-// ci.hash = opts.origPath; // default to this but can change
-// ci.destPath = opts.destPath;
-// ci.decompress = false;
-// copyInfos.push(ci);
-//
-// // Initiate the download
-// resp, err := httputils.Download(ci.origPath)
-// if err != nil {
-//     return err
-// }
-//
-// // Create a tmp dir
-// tmpDirName, err := ioutil.TempDir(b.contextPath, 'docker-remote')
-// if err != nil {
-//     return err
-// }
-// ci.tmpDir = tmpDirName
-//
-// // Create a tmp file within our tmp dir
-// tmpFileName := path.Join(tmpDirName, 'tmp')
-// tmpFile, err := os.OpenFile(tmpFileName, os.O_RDWR|os.O_CREATE|os.O_EXCL)
-// if err != nil {
-//     return err
-// }
-//
-// // Download and dump result to tmp file
-// if _, err := io.Copy(tmpFile, progressreader.New(progressreader.Config{
-//     In:        resp.Body,
-//     Out:       b.OutOld,
-//     Formatter: b.StreamFormatter,
-//     Size:      int(resp.ContentLength),
-//     NewLines:  true,
-//     ID:        '',
-//     Action:    'Downloading',
-// })); err != nil {
-//     tmpFile.Close()
-//     return err
-// }
-// fmt.Fprintf(b.OutStream, '\n')
-// tmpFile.Close()
-//
-// // Set the mtime to the Last-Modified header value if present
-// // Otherwise just remove atime and mtime
-// times := make([]syscall.Timespec, 2)
-//
-// lastMod := resp.Header.Get('Last-Modified')
-// if lastMod != '' {
-//     mTime, err := http.ParseTime(lastMod)
-//     // If we can't parse it then just let it default to 'zero'
-//     // otherwise use the parsed time value
-//     if err == nil {
-//         times[1] = syscall.NsecToTimespec(mTime.UnixNano())
-//     }
-// }
-//
-// if err := system.UtimesNano(tmpFileName, times); err != nil {
-//     return err
-// }
-//
-// ci.origPath = path.Join(filepath.Base(tmpDirName),
-//                         filepath.Base(tmpFileName))
-//
-// // If the destination is a directory, figure out the filename.
-// if strings.HasSuffix(ci.destPath, '/') {
-//     u, err := url.Parse(opts.origPath)
-//     if err != nil {
-//         return err
-//     }
-//     path := u.Path
-//     if strings.HasSuffix(path, '/') {
-//         path = path[:len(path)-1]
-//     }
-//     parts := strings.Split(path, '/')
-//     filename := parts[len(parts)-1]
-//     if filename == '' {
-//         return fmt.Errorf('cannot determine filename from url: %s', u)
-//     }
-//     ci.destPath = ci.destPath + filename
-// }
-//
-// // Calc the checksum, even if we're using the cache
-// r, err := archive.Tar(tmpFileName, archive.Uncompressed)
-// if err != nil {
-//     return err
-// }
-// tarSum, err := tarsum.NewTarSum(r, true, tarsum.Version0)
-// if err != nil {
-//     return err
-// }
-// if _, err := io.Copy(ioutil.Discard, tarSum); err != nil {
-//     return err
-// }
-// ci.hash = tarSum.Sum(nil)
-// r.Close()
-//
-// return nil
+    var builder = this;
+    var checksum = (cmd.ctx.flags && cmd.ctx.flags.checksum) || null;
+    var filename = getUrlFilename(u);
+    var sourceDir = path.join(builder.contextDir, 'remote', uuid.v4());
+    var source = {
+        compression: null,
+        extractDir: path.join(sourceDir, 'extracted'),
+        tarfile: path.join(sourceDir, 'remote.tar')
+    };
+
+    if (!filename || filename === '.' || filename === '..') {
+        if (opts.destPath.slice(-1) === '/') {
+            callback(new Error(util.format(
+                'cannot determine filename from url: %s', opts.origPath)));
+            return;
+        }
+        // The destination is a file, so any name will do.
+        filename = 'download';
+    }
+
+    var ci = builder.getCopyInfoFromOpts({
+        allowDecompression: false,
+        destPath: opts.destPath,
+        origPath: filename,
+        source: source
+    });
+
+    if (checksum) {
+        ci.hash = 'url:' + checksum.split(':')[1];
+        ci.remoteUrl = opts.origPath;
+        callback(null, [ci]);
+        return;
+    }
+
+    builder.downloadRemoteSource(opts.origPath, filename, source, null,
+            function _downloadCb(err, digest) {
+        if (err) {
+            callback(err);
+            return;
+        }
+        ci.hash = 'url:' + digest;
+        callback(null, [ci]);
+    });
+};
+
+
+/**
+ * Clone the git repository (see git.parseGitUrl) into its own copy source
+ * (under the context dir) and return the copyInfo for the repository (or for
+ * its subdirectory). The .git directory is left out, unless 'ADD
+ * --keep-git-dir' is used, and all files get the commit time as their mtime.
+ */
+Builder.prototype.infoForGitCopy =
+function infoForGitCopy(cmd, gitUrl, opts, callback)
+{
+    var builder = this;
+    var commit;
+    var keepGitDir = Boolean(cmd.ctx.flags && cmd.ctx.flags['keep-git-dir']);
+    var proxies = builder.getProxySettings();
+    var sourceDir = path.join(builder.contextDir, 'git', uuid.v4());
+    var source = {
+        compression: null,
+        extractDir: path.join(sourceDir, 'extracted'),
+        tarfile: path.join(sourceDir, 'git.tar')
+    };
+    var env = {};
+
+    // Git picks up the proxy settings from the environment.
+    if (proxies.http) {
+        env.http_proxy = proxies.http;
+    }
+    if (proxies.https) {
+        env.https_proxy = proxies.https;
+    }
+    if (proxies.no) {
+        env.no_proxy = proxies.no;
+    }
+
+    builder.emitStdout(util.format('Cloning git repository %s\n',
+        gitUrl.remote));
+
+    async.waterfall([
+        function makeSourceDir(next) {
+            mkdirp(sourceDir, function (err) {
+                next(err);
+            });
+        },
+        function cloneRepo(next) {
+            git.clone({
+                dir: source.extractDir,
+                env: env,
+                ref: gitUrl.ref || undefined,
+                remote: gitUrl.remote
+            }, next);
+        },
+        function createSource(result, next) {
+            commit = result.commit;
+            builder.emitStdout(util.format('Checked out commit %s\n', commit));
+            try {
+                utils.createTarfileSync(source.tarfile,
+                    utils.getDirTarEntriesSync(source.extractDir, {
+                        exclude: (keepGitDir ? [] : ['.git']),
+                        mtime: result.timestamp
+                    }));
+            } catch (e) {
+                next(e);
+                return;
+            }
+            next();
+        }
+    ], function _gitCopyCb(err) {
+        if (err) {
+            callback(err);
+            return;
+        }
+        var ci = builder.getCopyInfoFromOpts({
+            allowDecompression: false,
+            destPath: opts.destPath,
+            origPath: gitUrl.subdir || '.',
+            source: source
+        });
+        var isDirectory = false;
+        try {
+            isDirectory = ci.contextPathIsDirectory;
+        } catch (e) {
+            if (e.code !== 'ENOENT') {
+                callback(e);
+                return;
+            }
+        }
+        if (!isDirectory) {
+            callback(new Error(util.format('directory %s not found in git '
+                + 'repository %s', gitUrl.subdir, gitUrl.remote)));
+            return;
+        }
+        ci.gitCommit = commit;
+        ci.hash = 'git:' + commit;
+        callback(null, [ci]);
+    });
 };
 
 
@@ -1977,9 +3912,36 @@ Builder.prototype.performCopy = function performCopy(cmd, copyInfos, callback) {
     log.debug('performCopy: %d copyInfos', copyInfos.length);
 
     async.series([
+        // Resolve the --chown and --chmod flags for the copied files. This is
+        // done here (instead of in the preFn), as the container must hold the
+        // real file content for looking up user and group names.
+        function setOwnership(next) {
+            var flags = cmd.ctx.flags || {};
+            var ids = { uid: null, gid: null };
+            var mode = null;
+
+            if (flags.chown) {
+                try {
+                    ids = builder.getChownIds(flags.chown);
+                } catch (ex) {
+                    next(ex);
+                    return;
+                }
+            }
+            if (flags.chmod) {
+                mode = parseInt(flags.chmod, 8);
+            }
+            copyInfos.forEach(function _setCiOwnership(ci) {
+                ci.uid = ids.uid;
+                ci.gid = ids.gid;
+                ci.mode = mode;
+            });
+            next();
+        },
         // Special handling for ADD with a tar file.
         function detectAddTarFile(next) {
             if (cmd.name !== 'ADD' || copyInfos.length !== 1
+                || !copyInfos[0].decompress
                 || copyInfos[0].contextPathIsDirectory
                 || copyInfos[0].contextPathIsBrokenSymlink) {
 
@@ -2026,6 +3988,8 @@ Builder.prototype.performCopy = function performCopy(cmd, copyInfos, callback) {
                     tarfile: copyInfos[0].contextPath,
                     type: 'extract_tarfile'
                 };
+                addOwnershipToEvent(event, copyInfos[0]);
+                builder.addMtimeToEvent(event);
                 builder.emitTask(event);
                 return;
             }
@@ -2035,6 +3999,21 @@ Builder.prototype.performCopy = function performCopy(cmd, copyInfos, callback) {
     ], callback);
 };
 
+/**
+ * Add the copyInfo ownership (uid, gid) and file mode to the extract_tarfile
+ * event, which tells the extractor to change the owner/mode of the extracted
+ * files.
+ */
+function addOwnershipToEvent(event, ci) {
+    if (ci.uid !== null) {
+        event.uid = ci.uid;
+        event.gid = ci.gid;
+    }
+    if (ci.mode !== null) {
+        event.mode = ci.mode;
+    }
+}
+
 Builder.prototype.doCopy = function doCopy(ci, callback)
 {
     var builder = this;
@@ -2073,12 +4052,12 @@ Builder.prototype._doCopy = function _doCopy(ci, callback)
 
         var event = {
             callback: callback,
-            compression: builder.contextFileCompressionType,
+            compression: ci.source.compression,
             extractDir: parentDir,
             paths: [containerRelativePath],
             destPaths: [ci.zoneDestPath.slice(1)],
             stripDirCount: stripDirCount,
-            tarfile: builder.contextFilepath,
+            tarfile: ci.source.tarfile,
             type: 'extract_tarfile'
         };
 
@@ -2093,6 +4072,8 @@ Builder.prototype._doCopy = function _doCopy(ci, callback)
                 + destBasename.replace(/\\/g, '\\\\').replace(/\//, '\\/')
                 + '/';
         }
+        addOwnershipToEvent(event, ci);
+        builder.addMtimeToEvent(event);
 
         builder.emitTask(event);
     });
@@ -2117,6 +4098,178 @@ Builder.prototype.doCopyOneDirectory = function doCopyOneDirectory(ci, callback)
     builder._doCopy(ci, callback);
 };
 
+/**
+ * Return the copy source for the build context. A copy source is a map of:
+ *   { compression: String, extractDir: String, tarfile: String }
+ * where extractDir holds the extracted contents of the tarfile.
+ */
+Builder.prototype.getContextSource = function getContextSource() {
+    return {
+        compression: this.contextFileCompressionType,
+        extractDir: this.contextExtractDir,
+        tarfile: this.contextFilepath
+    };
+};
+
+/**
+ * Return the copy source for the given ADD/COPY cmd. This is the build context,
+ * unless the '--from' flag was used, in which case the filesystem of the given
+ * build stage (or image) is exported and then extracted into the work dir.
+ */
+Builder.prototype.getCopySource = function getCopySource(cmd, callback) {
+    var builder = this;
+    var from = cmd.ctx.flags && cmd.ctx.flags.from;
+    var imageName;
+    var source;
+    var stage;
+
+    if (cmd.ctx.heredocSource) {
+        callback(null, cmd.ctx.heredocSource);
+        return;
+    }
+    if (!from) {
+        callback(null, builder.getContextSource());
+        return;
+    }
+    if (typeof (from) !== 'string') {
+        callback(new Error('The --from flag requires a value'));
+        return;
+    }
+
+    stage = builder.getStage(from);
+    if (!stage) {
+        if (from.toLowerCase() === builder.stageName
+            || /^[0-9]+$/.test(from)) {
+
+            callback(new Error(util.format('invalid from flag value %s: '
+                + 'refers to current or later build stage', from)));
+            return;
+        }
+        // Not a stage, so it's an image name.
+        imageName = from;
+    } else if (!stage.imageDigest) {
+        callback(new Error(util.format('invalid from flag value %s: build '
+            + 'stage has no filesystem', from)));
+        return;
+    } else {
+        imageName = stage.imageDigest;
+    }
+
+    if (builder.copySources.hasOwnProperty(imageName)) {
+        callback(null, builder.copySources[imageName]);
+        return;
+    }
+
+    var sourceDir = path.join(builder.contextDir, 'from',
+        String(Object.keys(builder.copySources).length));
+    source = {
+        compression: null,
+        extractDir: path.join(sourceDir, 'extracted'),
+        tarfile: path.join(sourceDir, 'image.tar')
+    };
+
+    builder.log.debug('getCopySource: exporting image %s to %s', imageName,
+        source.tarfile);
+
+    async.series([
+        function makeSourceDir(next) {
+            mkdirp(sourceDir, next);
+        },
+        function exportImage(next) {
+            builder.emitTask({
+                callback: next,
+                imageName: imageName,
+                tarfile: source.tarfile,
+                type: 'export_image'
+            });
+        },
+        function extractImage(next) {
+            builder.emitTask({
+                callback: next,
+                compression: source.compression,
+                extractDir: source.extractDir,
+                tarfile: source.tarfile,
+                type: 'extract_tarfile'
+            });
+        }
+    ], function _exportImageCb(err) {
+        if (err) {
+            callback(err);
+            return;
+        }
+        builder.copySources[imageName] = source;
+        callback(null, source);
+    });
+};
+
+/**
+ * Write the heredoc files of the given ADD/COPY cmd into their own copy source
+ * (set as `cmd.ctx.heredocSource`) and replace the heredoc markers in the
+ * command arguments with the heredoc file names. Unless the heredoc delimiter
+ * was quoted, variables in the heredoc content are expanded. As the files are
+ * named after the delimiters, each delimiter can only be used once.
+ */
+Builder.prototype.createHeredocSource = function createHeredocSource(cmd) {
+    var builder = this;
+    var entries = [];
+    var env = getMergedEnvArgArray(builder.image.config.Env || [],
+        builder.buildArgsPlusDefaults);
+    var heredocIdx = 0;
+    var sourceDir = path.join(builder.contextDir, 'heredoc',
+        String(builder.stepNo));
+    var source = {
+        compression: null,
+        extractDir: path.join(sourceDir, 'extracted'),
+        tarfile: path.join(sourceDir, 'heredoc.tar')
+    };
+
+    // The last argument is the destination.
+    cmd.args = cmd.args.map(function _heredocArg(arg, idx) {
+        if (idx === cmd.args.length - 1 || arg.substr(0, 2) !== '<<') {
+            return arg;
+        }
+        var heredoc = cmd.heredocs[heredocIdx];
+        heredocIdx += 1;
+        if (!heredoc) {
+            throw new Error(util.format('%s: no heredoc content for %s',
+                cmd.name, arg));
+        }
+        if (entries.some(function _isSameName(entry) {
+            return entry.name === heredoc.name;
+        })) {
+            throw new Error(util.format('%s: duplicate heredoc delimiter %s',
+                cmd.name, heredoc.name));
+        }
+        var content = heredoc.content;
+        if (heredoc.expand) {
+            content = shellparser.processWord(content, env, {
+                escape: builder.escapeToken,
+                rawEscapes: true,
+                rawQuotes: true
+            });
+        }
+        entries.push({name: heredoc.name, content: content});
+        return heredoc.name;
+    });
+
+    if (entries.length < cmd.args.length - 1) {
+        throw new Error(util.format('%s: cannot mix heredoc and build context '
+            + 'sources', cmd.name));
+    }
+
+    builder.log.debug('createHeredocSource: writing %d heredoc files to %s',
+        entries.length, sourceDir);
+
+    mkdirp.sync(source.extractDir);
+    entries.forEach(function _writeHeredocFile(entry) {
+        fs.writeFileSync(path.join(source.extractDir, entry.name),
+            entry.content);
+    });
+    utils.createTarfileSync(source.tarfile, entries);
+
+    cmd.ctx.heredocSource = source;
+};
+
 Builder.prototype.reprovisionImage =
 function reprovisionImage(cmd, imageName, callback)
 {
@@ -2156,9 +4309,16 @@ Builder.prototype.setBaseImg = function setBaseImg(cmd, img) {
 
     var builder = this;
 
+    // An image with a container id but no rootfs was built on top of a layer
+    // with unknown content (see addLayerDiffId).
+    if (img.image.container && !img.image.rootfs) {
+        builder.contentAddressed = false;
+    }
+
     builder.layers = img.image.history.map(function (history) {
         return {
             cmd: null,
+            contentAddressed: builder.contentAddressed,
             image: null,
             imageDigest: null
         };
@@ -2180,16 +4340,19 @@ Builder.prototype.setBaseImg = function setBaseImg(cmd, img) {
     }
 };
 
-Builder.prototype.handleFromImage = function handleFromImage(cmd, callback)
+Builder.prototype.handleFromImage =
+function handleFromImage(cmd, imageName, callback)
 {
     var builder = this;
 
-    builder.reprovisionImage(cmd, cmd.args, function reprovisionCb(err, img) {
+    builder.reprovisionImage(cmd, imageName, function reprovisionCb(err, img) {
         if (err) {
             callback(err);
             return;
         }
 
+        builder.setBaseImageLayers(img.image);
+
         // Remove OnBuild triggers from the config when done, since the config
         // will be committed.
         builder.onBuildTriggers = builder.image.config.OnBuild;
@@ -2203,12 +4366,19 @@ Builder.prototype.runContainerCommand =
 function runContainerCommand(cmd, callback)
 {
     var builder = this;
+    var cleanupSecretFiles = null;
     var cb = function (err, result) {
         if (!err && result.exitCode !== 0) {
             err = new Error(util.format('The command \'%s\' returned a '
                 + 'non-zero code: %d', cmd.args.join(' '), result.exitCode));
         }
-        callback(err);
+        if (!err && result.diffId) {
+            cmd.ctx.diffId = result.diffId;
+        }
+        // Secrets are only available to this command.
+        cleanupSecretFiles(function _cleanupCb(cleanupErr) {
+            callback(err || cleanupErr);
+        });
     };
     var config = builder.image.config;
     // The env needs to combine the config env and the build args.
@@ -2221,9 +4391,20 @@ function runContainerCommand(cmd, callback)
         type: 'run',
         user: config.User
     };
-    builder.emitStdout(util.format(' ---> Running in %s\n',
-                                builder.getShortId(builder.zoneUuid)));
-    builder.emitTask(event);
+    var mounts = cmd.ctx.mounts || [];
+    if (mounts.length > 0) {
+        event.mounts = mounts;
+    }
+    builder.writeSecretFiles(mounts, function _writeSecretsCb(err, cleanup) {
+        if (err) {
+            callback(err);
+            return;
+        }
+        cleanupSecretFiles = cleanup;
+        builder.emitStdout(util.format(' ---> Running in %s\n',
+                                    builder.getShortId(builder.zoneUuid)));
+        builder.emitTask(event);
+    });
 };
 
 
@@ -0,0 +1,537 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2017, Joyent, Inc.
+ */
+
+/*
+ * Dockerfile parsing - this started out as a port of the docker-file-parser
+ * module (itself a port of the docker go parser), and adds:
+ *  - the start and end line numbers and the original text of each instruction
+ *  - comments and empty lines inside of line continuations
+ *  - parser directives (e.g. "# escape=`")
+ *  - heredocs (e.g. "RUN <<EOF")
+ *  - errors for invalid instructions, which point at the Dockerfile line
+ */
+
+var util = require('util');
+
+var utils = require('./utils');
+
+
+// Whitespace that separates words (the docker TOKEN_WHITESPACE).
+const WHITESPACE_RE = /[\t\v\f\r ]+/;
+
+// Instructions that support heredocs.
+const HEREDOC_COMMANDS = ['ADD', 'COPY', 'RUN'];
+
+// Matches a heredoc marker, e.g. '<<EOF', '<<-EOF' or '<<"EOF"'.
+const HEREDOC_MARKER_RE = /<<(-?)(["']?)([A-Za-z0-9_.\-]+)\2/g;
+
+// Matches a parser directive line, e.g. '# escape=`'.
+const DIRECTIVE_RE =
+    /^#[ \t]*([A-Za-z][A-Za-z0-9_\-]*)[ \t]*=[ \t]*(.*?)[ \t]*$/;
+
+const KNOWN_DIRECTIVES = ['escape', 'syntax'];
+
+
+/**
+ * Parse the parser directives at the top of the Dockerfile contents. Returns an
+ * object like:
+ *   {
+ *     escape: '\\',   // the escape character, '\\' or '`'
+ *     numLines: 2,    // the number of directive lines
+ *     syntax: null,   // the syntax value, e.g. 'docker/dockerfile:1'
+ *     unknown: null   // the unknown directive, e.g. {name: 'foo', line: 3}
+ *   }
+ * Parsing stops at the first line that is not a known directive, so (as with
+ * docker) an unknown '# key=value' line and anything after it is a regular
+ * comment - the unknown field names it, so the user can be warned. Throws an
+ * error for an invalid or repeated directive.
+ */
+function parseDirectives(contents) {
+    var directives = {
+        escape: '\\',
+        numLines: 0,
+        syntax: null,
+        unknown: null
+    };
+    var lines = String(contents).split(/\r?\n/);
+    var match;
+    var name;
+    var seen = {};
+    var value;
+
+    for (; directives.numLines < lines.length; directives.numLines++) {
+        match = lines[directives.numLines].match(DIRECTIVE_RE);
+        if (!match) {
+            break;
+        }
+        if (KNOWN_DIRECTIVES.indexOf(match[1].toLowerCase()) === -1) {
+            directives.unknown = {
+                line: directives.numLines + 1,
+                name: match[1]
+            };
+            break;
+        }
+        name = match[1].toLowerCase();
+        value = match[2];
+        if (seen[name]) {
+            throw new Error(util.format('only one %s parser directive can be '
+                + 'used', name));
+        }
+        seen[name] = true;
+
+        if (name === 'escape') {
+            if (value !== '\\' && value !== '`') {
+                throw new Error(util.format('invalid escape parser directive '
+                    + 'value %j, must be ` or \\', value));
+            }
+            directives.escape = value;
+        } else if (name === 'syntax') {
+            if (!value) {
+                throw new Error('syntax parser directive requires a value');
+            }
+            directives.syntax = value;
+        }
+    }
+
+    return directives;
+}
+
+/**
+ * Throw an error when the given (comment) line is a misplaced parser directive.
+ */
+function checkMisplacedDirective(line, lineno) {
+    var match = line.trim().match(DIRECTIVE_RE);
+
+    if (match && KNOWN_DIRECTIVES.indexOf(match[1].toLowerCase()) >= 0) {
+        throw new Error(util.format('parser directive %s must be at the top '
+            + 'of the Dockerfile, before any comment or instruction (line %d)',
+            match[1], lineno));
+    }
+}
+
+
+/**
+ * Return the heredoc markers found in the given (logical) instruction line.
+ * Each marker is an object like:
+ *   {
+ *     chomp: false,     // true for '<<-', which strips leading tabs
+ *     expand: true,     // false when the delimiter is quoted
+ *     marker: '<<EOF',  // the marker text, as it appears in the line
+ *     name: 'EOF'       // the delimiter
+ *   }
+ */
+function getHeredocMarkers(line) {
+    var markers = [];
+    var match;
+
+    HEREDOC_MARKER_RE.lastIndex = 0;
+    while ((match = HEREDOC_MARKER_RE.exec(line)) !== null) {
+        if (match.index > 0 && line[match.index - 1] === '<') {
+            // A bash here-string ('<<<'), not a heredoc.
+            continue;
+        }
+        markers.push({
+            chomp: (match[1] === '-'),
+            expand: (match[2] === ''),
+            marker: match[0],
+            name: match[3]
+        });
+    }
+
+    return markers;
+}
+
+/**
+ * Return an error for the problem (err or message) with the given command (or
+ * any object with the `startLine` and `original` fields), which points at the
+ * Dockerfile line and shows the source line(s), e.g.:
+ *   Dockerfile:3: Unknown instruction: RUM
+ *     3 | RUM echo hello
+ * An error that already points at a line is returned as-is. The error has a
+ * `lineno` property and keeps the `offset` property of err (if any).
+ */
+function getLocatedError(cmd, err) {
+    var located;
+    var message = (typeof (err) === 'string' ? err : err.message);
+    var lines = String(cmd.original || cmd.raw || '').split('\n');
+    var startLine = cmd.startLine || cmd.lineno;
+    var width = String(startLine + lines.length - 1).length;
+
+    if (typeof (err) === 'object' && err.hasOwnProperty('lineno')) {
+        return err;
+    }
+
+    located = new Error(util.format('Dockerfile:%d: %s\n%s', startLine,
+        message, lines.map(function _formatLine(line, idx) {
+            var lineno = String(startLine + idx);
+            while (lineno.length < width) {
+                lineno = ' ' + lineno;
+            }
+            return util.format('  %s | %s', lineno, line);
+        }).join('\n')));
+    located.lineno = startLine;
+    if (typeof (err) === 'object' && err.hasOwnProperty('offset')) {
+        located.offset = err.offset;
+    }
+    return located;
+}
+
+
+/*
+ * The instruction argument parsers. Each takes the command (which has the
+ * `name` and the `rest` of the instruction text) and the escape token, sets
+ * cmd.args and throws an error (message) when the arguments are invalid.
+ */
+
+// Split the text into words (i.e. space delimited or quoted strings). The
+// quotes and escapes are kept, as they are processed later by the shellparser.
+function parseWords(rest, escapeToken) {
+    var ch;
+    var pos;
+    var quote = '';
+    var word = '';
+    var wordStarted = false;
+    var words = [];
+
+    for (pos = 0; pos < rest.length; pos++) {
+        ch = rest[pos];
+        if (!quote && /\s/.test(ch)) {
+            if (wordStarted) {
+                words.push(word);
+                word = '';
+                wordStarted = false;
+            }
+            continue;
+        }
+        wordStarted = true;
+        if (ch === escapeToken && quote !== '\'') {
+            if (pos + 1 === rest.length) {
+                // Just skip the escape at the end.
+                continue;
+            }
+            word += ch + rest[pos + 1];
+            pos++;
+            continue;
+        }
+        if (quote && ch === quote) {
+            quote = '';
+        } else if (!quote && (ch === '\'' || ch === '"')) {
+            quote = ch;
+        }
+        word += ch;
+    }
+    if (wordStarted) {
+        words.push(word);
+    }
+
+    return words;
+}
+
+// Environment like instructions (ENV and LABEL), either the old 'KEY name
+// value' format, or the 'KEY name=value ...' format. Note that this does *not*
+// handle variable interpolation, which is done when the step is run.
+function parseNameVal(cmd, escapeToken) {
+    var strs;
+    var words = parseWords(cmd.rest, escapeToken);
+
+    cmd.args = {};
+
+    if (words.length === 0) {
+        throw new Error(util.format('%s requires at least one argument',
+            cmd.name));
+    }
+
+    if (words[0].indexOf('=') === -1) {
+        // Old format (KEY name value)
+        strs = cmd.rest.split(WHITESPACE_RE);
+        if (strs.length < 2) {
+            throw new Error(util.format('%s must have two arguments, got %s',
+                cmd.name, cmd.rest));
+        }
+        cmd.args[strs[0]] = strs.slice(1).join(' ');
+        return;
+    }
+
+    // New format (KEY name=value ...)
+    words.forEach(function _parseNameValWord(word) {
+        var idx = word.indexOf('=');
+        if (idx === -1) {
+            throw new Error(util.format('Syntax error - can\'t find = in %s. '
+                + 'Must be of the form: name=value', word));
+        }
+        cmd.args[word.slice(0, idx)] = word.slice(idx + 1);
+    });
+}
+
+// Keyword definitions and/or assignments, e.g. 'name1 name2=value'.
+function parseNameOrNameVal(cmd, escapeToken) {
+    cmd.args = parseWords(cmd.rest, escapeToken);
+}
+
+function parseStringsWhitespaceDelimited(cmd) {
+    cmd.args = (cmd.rest ? cmd.rest.split(WHITESPACE_RE) : []);
+}
+
+function parseString(cmd) {
+    cmd.args = cmd.rest;
+}
+
+// Return the JSON array (of strings) for the text, or null when the text is
+// not a valid JSON array of strings.
+function parseJSONArray(text) {
+    var json;
+
+    if (text[0] !== '[' || text[text.length - 1] !== ']') {
+        return null;
+    }
+    try {
+        json = JSON.parse(text);
+    } catch (e) {
+        return null;
+    }
+    if (!Array.isArray(json) || !json.every(function (entry) {
+        return typeof (entry) === 'string';
+    })) {
+        return null;
+    }
+    return json;
+}
+
+// Exec (JSON) form or shell form - like docker, anything that is not a valid
+// JSON array of strings is run as a shell command (e.g. 'RUN [ -f a ]').
+function parseJsonOrString(cmd) {
+    var json = parseJSONArray(cmd.rest);
+
+    if (json) {
+        cmd.args = json;
+        cmd.json = true;
+        return;
+    }
+    cmd.args = cmd.rest;
+}
+
+// JSON form or a whitespace separated list. Something that looks like a JSON
+// array, but is not a valid one, is an error.
+function parseJsonOrList(cmd) {
+    var json = parseJSONArray(cmd.rest);
+
+    if (json) {
+        cmd.args = json;
+        cmd.json = true;
+        return;
+    }
+    if (/^\[[\s\S]*\]$/.test(cmd.rest)) {
+        throw new Error(util.format('%s has an invalid JSON array, it must be '
+            + 'an array of (double quoted) strings', cmd.name));
+    }
+    parseStringsWhitespaceDelimited(cmd);
+}
+
+// ONBUILD holds another instruction, e.g. 'ONBUILD RUN foo'.
+function parseSubCommand(cmd, escapeToken) {
+    if (!cmd.rest) {
+        throw new Error('ONBUILD requires at least one argument');
+    }
+    cmd.args = parseInstruction(cmd.rest, escapeToken);
+}
+
+var COMMAND_PARSERS = {
+    'ADD':        parseJsonOrList,
+    'ARG':        parseNameOrNameVal,
+    'CMD':        parseJsonOrString,
+    'COPY':       parseJsonOrList,
+    'ENTRYPOINT': parseJsonOrString,
+    'ENV':        parseNameVal,
+    'EXPOSE':     parseStringsWhitespaceDelimited,
+    'FROM':       parseString,
+    'LABEL':      parseNameVal,
+    'MAINTAINER': parseString,
+    'ONBUILD':    parseSubCommand,
+    'RUN':        parseJsonOrString,
+    'STOPSIGNAL': parseString,
+    'USER':       parseString,
+    'VOLUME':     parseJsonOrList,
+    'WORKDIR':    parseString
+};
+
+/**
+ * Parse the (logical, i.e. without line continuations) instruction text and
+ * return the command, with `name`, `args` and `raw` (the trimmed text) fields.
+ * Unknown instructions get the text as args, they are reported when run.
+ */
+function parseInstruction(text, escapeToken) {
+    var cmd;
+    var line = text.trim();
+    var match = line.match(WHITESPACE_RE);
+
+    if (match) {
+        cmd = {
+            name: line.slice(0, match.index).toUpperCase(),
+            rest: line.slice(match.index + match[0].length)
+        };
+    } else {
+        cmd = { name: line.toUpperCase(), rest: '' };
+    }
+
+    (COMMAND_PARSERS[cmd.name] || parseString)(cmd, escapeToken);
+    cmd.raw = line;
+    delete cmd.rest;
+
+    return cmd;
+}
+
+
+/**
+ * Parse the given Dockerfile contents, returning an array of commands, each
+ * like:
+ *   {
+ *     name: 'COPY',                // the instruction
+ *     args: ['.', '/app'],         // arguments (an array, string or map)
+ *     raw: 'COPY . /app',          // the instruction text (continuations
+ *                                  // joined)
+ *     lineno: 4,                   // same as startLine
+ *     startLine: 4,                // the first Dockerfile line (1-based)
+ *     endLine: 5,                  // the last Dockerfile line (inclusive)
+ *     original: 'COPY . \\\n  /app' // the original Dockerfile text
+ *   }
+ * Commands in the JSON (exec) form, e.g. 'COPY ["a b", "/app/"]', have a
+ * `json` property set to true.
+ * Commands that use heredocs have a `heredocs` array property, in the order
+ * the markers appear, and each heredoc entry (see getHeredocMarkers) has these
+ * additional fields:
+ *   content - the heredoc body, leading tabs removed when chomp is set
+ *   raw     - the original body lines and the delimiter line, as text
+ *
+ * Comments and empty lines are skipped, including those inside of a line
+ * continuation, unless options.includeComments is set, which adds 'COMMENT'
+ * commands for the comment lines (that are not inside of an instruction).
+ *
+ * Throws an error for invalid parser directives (see parseDirectives), invalid
+ * instruction arguments and unterminated heredocs, which (except for the
+ * directives) points at the line (see getLocatedError).
+ */
+function parse(contents, options) {
+    var directives = parseDirectives(contents);
+    var commands = [];
+    var continuationRe = new RegExp(utils.escapeRegExp(directives.escape)
+        + '[ \\t]*$');
+    var i = directives.numLines;
+    var includeComments = Boolean(options && options.includeComments);
+    var lines = String(contents).split(/\r?\n/);
+
+    function isCommentLine(line) {
+        return /^[ \t]*#/.test(line);
+    }
+
+    // Read the heredoc body from the lines following the instruction.
+    function readHeredoc(cmd, heredoc) {
+        var body = [];
+        var bodyLine;
+        var j;
+
+        for (j = i; j < lines.length; j++) {
+            bodyLine = lines[j];
+            if (heredoc.chomp) {
+                bodyLine = bodyLine.replace(/^\t+/, '');
+            }
+            if (bodyLine === heredoc.name) {
+                break;
+            }
+            body.push(bodyLine + '\n');
+        }
+        if (j >= lines.length) {
+            throw getLocatedError(cmd, util.format('unterminated heredoc %s',
+                heredoc.name));
+        }
+
+        heredoc.content = body.join('');
+        heredoc.raw = lines.slice(i, j + 1).join('\n');
+        i = j + 1;
+    }
+
+    while (i < lines.length) {
+        var line = lines[i];
+
+        if (!line.trim()) {
+            i++;
+            continue;
+        }
+        if (isCommentLine(line)) {
+            checkMisplacedDirective(line, i + 1);
+            if (includeComments) {
+                commands.push({
+                    name: 'COMMENT',
+                    args: line.trim(),
+                    raw: line.trim(),
+                    lineno: i + 1,
+                    startLine: i + 1,
+                    endLine: i + 1,
+                    original: line
+                });
+            }
+            i++;
+            continue;
+        }
+
+        // Join the line continuations, skipping comments and empty lines.
+        var startIdx = i;
+        var text = '';
+        for (; i < lines.length; i++) {
+            line = lines[i];
+            if (i > startIdx && (!line.trim() || isCommentLine(line))) {
+                continue;
+            }
+            if (!continuationRe.test(line)) {
+                text += line;
+                i++;
+                break;
+            }
+            text += line.replace(continuationRe, '');
+        }
+
+        var location = {
+            original: lines.slice(startIdx, i).join('\n'),
+            startLine: startIdx + 1
+        };
+        var cmd;
+        try {
+            cmd = parseInstruction(text, directives.escape);
+        } catch (e) {
+            throw getLocatedError(location, e);
+        }
+        cmd.lineno = location.startLine;
+        cmd.startLine = location.startLine;
+        cmd.endLine = i;
+        cmd.original = location.original;
+
+        if (HEREDOC_COMMANDS.indexOf(cmd.name) >= 0) {
+            var heredocs = getHeredocMarkers(text);
+            if (heredocs.length > 0) {
+                heredocs.forEach(function _readHeredoc(heredoc) {
+                    readHeredoc(cmd, heredoc);
+                });
+                cmd.heredocs = heredocs;
+                cmd.endLine = i;
+                cmd.original = lines.slice(startIdx, i).join('\n');
+            }
+        }
+
+        commands.push(cmd);
+    }
+
+    return commands;
+}
+
+
+module.exports = {
+    getLocatedError: getLocatedError,
+    parse: parse,
+    parseDirectives: parseDirectives
+};
@@ -0,0 +1,175 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2017, Joyent, Inc.
+ */
+
+/*
+ * The .dockerignore file, a port of the docker pattern matching (the
+ * moby/patternmatcher go module). Each line is a pattern, matched against the
+ * path relative to the context root, where:
+ *   *     matches any sequence of non-separator characters
+ *   ?     matches any single non-separator character
+ *   [...] matches a character class (as in go filepath.Match)
+ *   **    matches any number of directories (including none)
+ *   \     escapes the next character
+ * Patterns starting with '!' are exceptions, which re-include the paths they
+ * match. The last pattern that matches a path decides whether it is ignored.
+ * A pattern that matches a directory also matches everything inside of it.
+ */
+
+var path = require('path');
+var util = require('util');
+
+var utils = require('./utils');
+
+
+/**
+ * Clean the given path, as go's filepath.Clean does, but without a leading
+ * slash - so '/foo/./bar/' becomes 'foo/bar'. The root becomes '.'.
+ */
+function cleanPath(p) {
+    var cleaned = path.posix.normalize('/' + p).replace(/^\/+|\/+$/g, '');
+    return cleaned || '.';
+}
+
+/*
+ * Return the regular expression (string) for the pattern, the pattern must
+ * already be cleaned.
+ */
+function patternToRegExpStr(pattern) {
+    var ch;
+    var i;
+    var re = '^';
+
+    for (i = 0; i < pattern.length; i++) {
+        ch = pattern[i];
+        if (ch === '*') {
+            if (pattern[i + 1] !== '*') {
+                re += '[^/]*';
+                continue;
+            }
+            // Some flavour of '**', treat '**/' as '**'.
+            i++;
+            if (pattern[i + 1] === '/') {
+                i++;
+            }
+            if (i + 1 >= pattern.length) {
+                // A trailing '**' matches everything.
+                re += '.*';
+            } else {
+                // Matches any number of directories, including none.
+                re += '(.*/)?';
+            }
+        } else if (ch === '?') {
+            re += '[^/]';
+        } else if (ch === '\\') {
+            i++;
+            if (i >= pattern.length) {
+                throw new Error(util.format(
+                    'invalid .dockerignore pattern %s: trailing escape',
+                    pattern));
+            }
+            re += utils.escapeRegExp(pattern[i]);
+        } else if (ch === '[') {
+            var end = pattern.indexOf(']', i + 1);
+            if (end === -1) {
+                throw new Error(util.format(
+                    'invalid .dockerignore pattern %s: unclosed [', pattern));
+            }
+            // Go uses '^' for negation, same as the regular expression.
+            re += '[' + pattern.slice(i + 1, end).replace(/^!/, '^') + ']';
+            i = end;
+        } else {
+            re += utils.escapeRegExp(ch);
+        }
+    }
+
+    return re + '$';
+}
+
+/**
+ * Parse the .dockerignore file contents, returning an array of patterns, each
+ * an object like:
+ *   {
+ *     pattern: 'node_modules',   // the cleaned pattern
+ *     exclusion: false,          // true for a '!' exception pattern
+ *     numDirs: 1,                // the number of path components
+ *     re: /^node_modules$/
+ *   }
+ * Comments ('#' lines) and empty lines are skipped. Throws an error for an
+ * invalid pattern.
+ */
+function parse(contents) {
+    var patterns = [];
+
+    String(contents).split(/\r?\n/).forEach(function _parseLine(line) {
+        var exclusion = false;
+        var pattern = line.trim();
+
+        if (!pattern || pattern[0] === '#') {
+            return;
+        }
+        if (pattern[0] === '!') {
+            if (pattern.length === 1) {
+                throw new Error('invalid .dockerignore pattern: "!" must be '
+                    + 'followed by a pattern');
+            }
+            exclusion = true;
+            pattern = pattern.slice(1).trim();
+        }
+        pattern = cleanPath(pattern);
+
+        patterns.push({
+            exclusion: exclusion,
+            numDirs: pattern.split('/').length,
+            pattern: pattern,
+            re: new RegExp(patternToRegExpStr(pattern))
+        });
+    });
+
+    return patterns;
+}
+
+/**
+ * Return true when the file (path relative to the context root) is ignored by
+ * the given patterns (as returned by parse).
+ */
+function isIgnored(file, patterns) {
+    var ignored = false;
+    var parentDirs;
+
+    file = cleanPath(file);
+    parentDirs = path.posix.dirname(file).split('/');
+
+    patterns.forEach(function _matchPattern(p) {
+        // Only the exceptions can change an ignored file, and only the
+        // (non-exception) patterns can ignore a file.
+        if (p.exclusion !== ignored) {
+            return;
+        }
+
+        var match = p.re.test(file);
+        if (!match && parentDirs[0] !== '.'
+            && p.numDirs <= parentDirs.length) {
+
+            // A pattern that matches a parent directory matches the file too.
+            match = p.re.test(parentDirs.slice(0, p.numDirs).join('/'));
+        }
+        if (match) {
+            ignored = !p.exclusion;
+        }
+    });
+
+    return ignored;
+}
+
+
+module.exports = {
+    isIgnored: isIgnored,
+    parse: parse
+};
@@ -0,0 +1,306 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2017, Joyent, Inc.
+ */
+
+/*
+ * Downloading of remote files (for 'ADD <url>'), with support for http(s)
+ * proxies.
+ */
+
+var crypto = require('crypto');
+var fs = require('fs');
+var http = require('http');
+var https = require('https');
+var tls = require('tls');
+var url = require('url');
+var util = require('util');
+
+var assert = require('assert-plus');
+var once = require('once');
+
+
+// Maximum number of redirects to follow for a download.
+const MAX_REDIRECTS = 10;
+
+// Default number of milliseconds a download connection can be idle (waiting to
+// connect, or for the response headers or data) before it is aborted.
+const DEFAULT_TIMEOUT = 60 * 1000;
+
+// HTTP status codes that redirect to the 'Location' header url.
+const REDIRECT_STATUS_CODES = [301, 302, 303, 307, 308];
+
+
+/**
+ * Return the proxy url (or null) to use for the given target url (as returned
+ * from url.parse). The proxies object may contain `http`, `https` and `no`
+ * entries, same as the HTTP_PROXY, HTTPS_PROXY and NO_PROXY env variables.
+ */
+function getProxyUrl(target, proxies) {
+    var hostname = target.hostname;
+    var proxy = (target.protocol === 'https:' ? proxies.https : proxies.http);
+
+    if (!proxy) {
+        return null;
+    }
+
+    var noProxy = (proxies.no || '').split(',').map(function (entry) {
+        return entry.trim().replace(/:[0-9]+$/, '').replace(/^\*?\./, '');
+    }).filter(Boolean);
+    var bypass = noProxy.some(function (entry) {
+        return (entry === '*' || hostname === entry
+            || hostname.slice(-(entry.length + 1)) === '.' + entry);
+    });
+
+    return (bypass ? null : proxy);
+}
+
+/**
+ * Return the request headers for the given proxy url (as returned from
+ * url.parse), i.e. the proxy authorization when the proxy url has credentials.
+ */
+function getProxyHeaders(proxy, hostHeader) {
+    var headers = { Host: hostHeader };
+
+    if (proxy.auth) {
+        headers['Proxy-Authorization'] = 'Basic '
+            + Buffer.from(decodeURIComponent(proxy.auth)).toString('base64');
+    }
+
+    return headers;
+}
+
+/**
+ * Make a GET request for the target url (string), going through the proxy (if
+ * any). Calls callback(err, res) with the response. The request is aborted
+ * when the connection is idle for timeout milliseconds, which is reported
+ * through the callback, or as an 'error' event on the response when the
+ * response has already been received.
+ */
+function get(targetUrl, proxies, timeout, callback) {
+    var target = url.parse(targetUrl);
+    var proxyUrl = getProxyUrl(target, proxies);
+    var proxy = (proxyUrl ? url.parse(proxyUrl) : null);
+    var req;
+    var response = null;
+
+    callback = once(callback);
+
+    function onResponse(res) {
+        response = res;
+        callback(null, res);
+    }
+
+    function setRequestTimeout(r) {
+        r.setTimeout(timeout, function _onTimeout() {
+            var err = new Error(util.format('failed to GET %s: timed out '
+                + 'after %d ms', targetUrl, timeout));
+            if (response) {
+                response.emit('error', err);
+            } else {
+                callback(err);
+            }
+            r.abort();
+        });
+    }
+
+    if (target.protocol !== 'http:' && target.protocol !== 'https:') {
+        callback(new Error(util.format('unsupported url protocol %s in %s',
+            target.protocol, targetUrl)));
+        return;
+    }
+
+    if (!proxy) {
+        req = (target.protocol === 'https:' ? https : http).get(targetUrl,
+            onResponse);
+        setRequestTimeout(req);
+        req.on('error', callback);
+        return;
+    }
+
+    if (target.protocol === 'http:') {
+        // A plain http proxy request uses the full url as the path.
+        req = http.get({
+            headers: getProxyHeaders(proxy, target.host),
+            host: proxy.hostname,
+            path: targetUrl,
+            port: proxy.port || 80
+        }, onResponse);
+        setRequestTimeout(req);
+        req.on('error', callback);
+        return;
+    }
+
+    // A https request is tunneled through the proxy using CONNECT.
+    var targetHostPort = util.format('%s:%s', target.hostname,
+        target.port || 443);
+    req = http.request({
+        headers: getProxyHeaders(proxy, targetHostPort),
+        host: proxy.hostname,
+        method: 'CONNECT',
+        path: targetHostPort,
+        port: proxy.port || 80
+    });
+    setRequestTimeout(req);
+    req.on('connect', function (res, socket) {
+        // The tunneled request takes over the timeout of the socket.
+        socket.setTimeout(0);
+        if (res.statusCode !== 200) {
+            socket.destroy();
+            callback(new Error(util.format('proxy CONNECT to %s failed with '
+                + 'status %d', targetHostPort, res.statusCode)));
+            return;
+        }
+        var tunnelReq = https.get({
+            agent: false,
+            createConnection: function () {
+                return tls.connect({
+                    servername: target.hostname,
+                    socket: socket
+                });
+            },
+            host: target.hostname,
+            path: target.path,
+            port: target.port || 443
+        }, onResponse);
+        setRequestTimeout(tunnelReq);
+        tunnelReq.on('error', callback);
+    });
+    req.on('error', callback);
+    req.end();
+}
+
+/**
+ * Download the given url into a file.
+ *
+ * Options:
+ *  - url: String, the url to download.
+ *  - filepath: String, where to write the downloaded content.
+ *  - proxies: Object, optional proxy settings (see getProxyUrl).
+ *  - onProgress: Function, optional, called as fn(numBytes, totalBytes) as
+ *    the content is received, where totalBytes is null when unknown.
+ *  - timeout: Number, optional, the milliseconds the connection may be idle
+ *    before the download fails, default DEFAULT_TIMEOUT.
+ *
+ * Calls callback(err, result) with the result object holding:
+ *  - digest: the sha256 (hex) checksum of the content
+ *  - lastModified: the Last-Modified header as a Date (or null)
+ *  - size: the number of bytes downloaded
+ */
+function download(opts, callback) {
+    assert.object(opts, 'opts');
+    assert.string(opts.url, 'opts.url');
+    assert.string(opts.filepath, 'opts.filepath');
+    assert.optionalObject(opts.proxies, 'opts.proxies');
+    assert.optionalFunc(opts.onProgress, 'opts.onProgress');
+    assert.optionalNumber(opts.timeout, 'opts.timeout');
+    assert.func(callback, 'callback');
+
+    var numRedirects = 0;
+    var proxies = opts.proxies || {};
+    var timeout = opts.timeout || DEFAULT_TIMEOUT;
+
+    callback = once(callback);
+
+    function handleResponse(currentUrl, res) {
+        var failed = false;
+        var hash = crypto.createHash('sha256');
+        var lastModified = null;
+        var size = 0;
+        var totalSize = null;
+
+        if (REDIRECT_STATUS_CODES.indexOf(res.statusCode) >= 0
+            && res.headers.location) {
+
+            res.resume();
+            numRedirects += 1;
+            if (numRedirects > MAX_REDIRECTS) {
+                callback(new Error(util.format('failed to GET %s: too many '
+                    + 'redirects', opts.url)));
+                return;
+            }
+            getUrl(url.resolve(currentUrl, res.headers.location));
+            return;
+        }
+
+        if (res.statusCode < 200 || res.statusCode >= 300) {
+            res.resume();
+            callback(new Error(util.format('failed to GET %s with status %d %s',
+                currentUrl, res.statusCode, res.statusMessage)));
+            return;
+        }
+
+        if (res.headers['content-length']) {
+            totalSize = parseInt(res.headers['content-length'], 10);
+        }
+        if (res.headers['last-modified']) {
+            lastModified = new Date(res.headers['last-modified']);
+            if (isNaN(lastModified.getTime())) {
+                lastModified = null;
+            }
+        }
+
+        var fstream = fs.createWriteStream(opts.filepath,
+            { mode: parseInt('0600', 8) });
+
+        // Close and remove the (partial) file, then fail the download.
+        function fail(err) {
+            if (failed) {
+                return;
+            }
+            failed = true;
+            res.unpipe(fstream);
+            res.resume();
+            fstream.destroy();
+            fs.unlink(opts.filepath, function _unlinkCb() {
+                callback(err);
+            });
+        }
+
+        res.on('data', function (data) {
+            hash.update(data);
+            size += data.length;
+            if (opts.onProgress) {
+                opts.onProgress(size, totalSize);
+            }
+        });
+        res.on('error', fail);
+        fstream.on('error', fail);
+        fstream.on('finish', function () {
+            if (totalSize !== null && size !== totalSize) {
+                fail(new Error(util.format('failed to GET %s: received %d '
+                    + 'of %d bytes', currentUrl, size, totalSize)));
+                return;
+            }
+            callback(null, {
+                digest: hash.digest('hex'),
+                lastModified: lastModified,
+                size: size
+            });
+        });
+        res.pipe(fstream);
+    }
+
+    function getUrl(currentUrl) {
+        get(currentUrl, proxies, timeout, function (err, res) {
+            if (err) {
+                callback(err);
+                return;
+            }
+            handleResponse(currentUrl, res);
+        });
+    }
+
+    getUrl(opts.url);
+}
+
+
+module.exports = {
+    download: download,
+    getProxyUrl: getProxyUrl
+};
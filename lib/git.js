@@ -0,0 +1,207 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2017, Joyent, Inc.
+ */
+
+/*
+ * Cloning of git repositories (for 'ADD <git url>'), using the git command.
+ */
+
+var child_process = require('child_process');
+var url = require('url');
+var util = require('util');
+
+var assert = require('assert-plus');
+var async = require('async');
+var jsprim = require('jsprim');
+
+
+// The transports git is allowed to use - notably not 'file' or 'ext', which
+// would give access to the build host.
+const ALLOWED_PROTOCOLS = 'git:http:https:ssh';
+
+// Default number of milliseconds the clone may take before it is aborted.
+const DEFAULT_CLONE_TIMEOUT = 10 * 60 * 1000;
+
+// Number of seconds a http(s) transfer may stall (receive less than a byte per
+// second) before git aborts it.
+const LOW_SPEED_TIME = 60;
+
+// Url protocols that are always git repositories.
+const GIT_URL_PROTOCOLS = ['git:', 'git+ssh:', 'ssh:'];
+
+// Matches the scp-like ssh syntax, e.g. 'git@github.com:joyent/repo.git'.
+const SCP_LIKE_RE = /^[A-Za-z0-9_.\-]+@[A-Za-z0-9_.\-]+:[^\/]/;
+
+
+/**
+ * Parse the given ADD source and return an object like:
+ *   {
+ *     remote: 'https://github.com/joyent/repo.git',
+ *     ref: 'v1.0',      // the branch, tag or commit, null for the default
+ *     subdir: 'docs'    // the directory within the repository, or ''
+ *   }
+ * when it is a git repository url, otherwise null. As with docker, the ref and
+ * subdir come from the url fragment, e.g. 'https://host/repo.git#v1.0:docs'.
+ */
+function parseGitUrl(rawUrl) {
+    var fragment = '';
+    var hashIdx = rawUrl.indexOf('#');
+    var remote = rawUrl;
+    var u;
+
+    if (hashIdx >= 0) {
+        fragment = rawUrl.slice(hashIdx + 1);
+        remote = rawUrl.slice(0, hashIdx);
+    }
+
+    if (!SCP_LIKE_RE.test(remote)) {
+        u = url.parse(remote);
+        if (GIT_URL_PROTOCOLS.indexOf(u.protocol) === -1
+            && !((u.protocol === 'http:' || u.protocol === 'https:')
+                && /\.git\/?$/.test(u.pathname || ''))) {
+            return null;
+        }
+    }
+
+    var colonIdx = fragment.indexOf(':');
+    var ref = (colonIdx >= 0 ? fragment.slice(0, colonIdx) : fragment);
+    var subdir = (colonIdx >= 0 ? fragment.slice(colonIdx + 1) : '');
+
+    return {
+        remote: remote,
+        ref: ref || null,
+        subdir: subdir.replace(/^\/+|\/+$/g, '')
+    };
+}
+
+/**
+ * Run a git command (args array) in the given directory, calling
+ * callback(err, stdout). The command is killed when it runs for longer than
+ * the (optional) opts.timeout milliseconds.
+ */
+function runGit(args, opts, callback) {
+    child_process.execFile('git', args, {
+        cwd: opts.cwd,
+        env: opts.env,
+        maxBuffer: 1024 * 1024,
+        timeout: opts.timeout || 0
+    }, function _execGitCb(err, stdout, stderr) {
+        if (err && err.killed && opts.timeout) {
+            err.stderr = util.format('timed out after %d ms', opts.timeout);
+        } else if (err) {
+            err.stderr = String(stderr).trim();
+        }
+        callback(err, String(stdout).trim());
+    });
+}
+
+/**
+ * Clone the git repository into the given directory and check out the ref.
+ *
+ * Options:
+ *  - dir: String, where to clone the repository (must not exist).
+ *  - env: Object, optional extra environment variables for git, e.g. proxies.
+ *  - ref: String, optional branch, tag or commit, default is the remote HEAD.
+ *  - remote: String, the repository url.
+ *  - timeout: Number, optional, the milliseconds the clone may take before it
+ *    fails, default DEFAULT_CLONE_TIMEOUT. A stalled http(s) transfer fails
+ *    after LOW_SPEED_TIME seconds.
+ *
+ * Calls callback(err, result), where result holds the `commit` sha and the
+ * commit `timestamp` (in seconds).
+ */
+function clone(opts, callback) {
+    assert.object(opts, 'opts');
+    assert.string(opts.dir, 'opts.dir');
+    assert.optionalObject(opts.env, 'opts.env');
+    assert.optionalString(opts.ref, 'opts.ref');
+    assert.string(opts.remote, 'opts.remote');
+    assert.optionalNumber(opts.timeout, 'opts.timeout');
+    assert.func(callback, 'callback');
+
+    var commit = null;
+    var env = jsprim.mergeObjects(opts.env, {
+        GIT_ALLOW_PROTOCOL: ALLOWED_PROTOCOLS,
+        GIT_HTTP_LOW_SPEED_LIMIT: '1',
+        GIT_HTTP_LOW_SPEED_TIME: String(LOW_SPEED_TIME),
+        GIT_TERMINAL_PROMPT: '0'
+    }, process.env);
+    var gitOpts = { cwd: opts.dir, env: env };
+    var timestamp = null;
+
+    async.series([
+        function cloneRepo(next) {
+            runGit(['clone', '--quiet', '--no-checkout', '--', opts.remote,
+                    opts.dir], {
+                env: env,
+                timeout: opts.timeout || DEFAULT_CLONE_TIMEOUT
+            }, function _cloneCb(err) {
+                if (err) {
+                    next(new Error(util.format(
+                        'failed to clone git repository %s: %s',
+                        opts.remote, err.stderr || err.message)));
+                    return;
+                }
+                next();
+            });
+        },
+        function resolveRef(next) {
+            // Branches only exist as remote branches after the clone.
+            var candidates = (opts.ref ? [opts.ref, 'origin/' + opts.ref]
+                : ['HEAD']);
+            async.detectSeries(candidates, function _revParse(name, cb) {
+                runGit(['rev-parse', '--verify', '--quiet', name + '^{commit}'],
+                        gitOpts, function _revParseCb(err, stdout) {
+                    if (!err) {
+                        commit = stdout;
+                    }
+                    cb(null, !err);
+                });
+            }, function _detectCb(err, found) {
+                if (!err && !found) {
+                    err = new Error(util.format(
+                        'git ref %s not found in repository %s',
+                        opts.ref || 'HEAD', opts.remote));
+                }
+                next(err);
+            });
+        },
+        function checkout(next) {
+            runGit(['checkout', '--quiet', '--detach', commit], gitOpts,
+                    function _checkoutCb(err) {
+                if (err) {
+                    next(new Error(util.format(
+                        'failed to checkout %s from git repository %s: %s',
+                        commit, opts.remote, err.stderr || err.message)));
+                    return;
+                }
+                next();
+            });
+        },
+        function getTimestamp(next) {
+            runGit(['show', '--no-patch', '--format=%ct', commit], gitOpts,
+                    function _showCb(err, stdout) {
+                timestamp = parseInt(stdout, 10);
+                next(err);
+            });
+        }
+    ], function _cloneCb(err) {
+        if (err) {
+            callback(err);
+            return;
+        }
+        callback(null, { commit: commit, timestamp: timestamp });
+    });
+}
+
+
+module.exports = {
+    clone: clone,
+    parseGitUrl: parseGitUrl
+};
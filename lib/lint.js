@@ -0,0 +1,418 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2017, Joyent, Inc.
+ */
+
+/*
+ * Static checks of a Dockerfile (a linter), without running a build. This
+ * only parses the Dockerfile, so it can be used as a cheap check before a
+ * build zone is provisioned.
+ */
+
+var util = require('util');
+
+var assert = require('assert-plus');
+
+var build = require('./build');
+var dockerfile = require('./dockerfile');
+var utils = require('./utils');
+
+
+const SEVERITY_ERROR = 'error';
+const SEVERITY_WARNING = 'warning';
+const SEVERITY_INFO = 'info';
+
+// Sorting order for diagnostics on the same line.
+const SEVERITIES = [SEVERITY_ERROR, SEVERITY_WARNING, SEVERITY_INFO];
+
+// ARG names that docker predefines, these can be used without being declared
+// and are used (by RUN) without being referenced.
+const PREDEFINED_ARGS = [
+    'ALL_PROXY', 'FTP_PROXY', 'HTTPS_PROXY', 'HTTP_PROXY', 'NO_PROXY',
+    'all_proxy', 'ftp_proxy', 'https_proxy', 'http_proxy', 'no_proxy'
+];
+
+// ADD sources which COPY cannot handle: archives (which ADD extracts) and
+// remote urls.
+const ADD_ARCHIVE_RE = /\.(tar|tar\.gz|tgz|tar\.bz2|tbz2?|tar\.xz|txz)$/i;
+const ADD_REMOTE_RE = /^([a-z][a-z0-9+.\-]*:\/\/|[^\/@\s]+@[^\/:\s]+:)/i;
+
+// The apt-get commands that leave the package lists behind.
+const APT_GET_RE = /\bapt-get\s+(-\S+\s+)*(install|update|upgrade)\b/;
+const APT_CLEANUP_RE = /rm\s+(-\S+\s+)+(\S*\s+)*\/var\/lib\/apt\/lists/;
+
+
+/*
+ * Return the (Damerau-less) edit distance between the strings a and b.
+ */
+function editDistance(a, b) {
+    var i;
+    var j;
+    var prev;
+    var row = [];
+    var tmp;
+
+    for (j = 0; j <= b.length; j++) {
+        row.push(j);
+    }
+    for (i = 1; i <= a.length; i++) {
+        prev = row[0];
+        row[0] = i;
+        for (j = 1; j <= b.length; j++) {
+            tmp = row[j];
+            row[j] = Math.min(row[j] + 1, row[j - 1] + 1,
+                prev + (a[i - 1] === b[j - 1] ? 0 : 1));
+            prev = tmp;
+        }
+    }
+
+    return row[b.length];
+}
+
+// Return the command text that is run by the shell, including heredocs.
+function getRunText(cmd) {
+    var text = (Array.isArray(cmd.args) ? cmd.args.join(' ') : cmd.args);
+    (cmd.heredocs || []).forEach(function _addHeredoc(heredoc) {
+        text += '\n' + heredoc.content;
+    });
+    return text;
+}
+
+// Return the name of each definition of an ARG command, e.g. 'A' for 'A=1'.
+function getArgNames(cmd) {
+    return (Array.isArray(cmd.args) ? cmd.args : []).map(function (arg) {
+        return arg.split('=')[0];
+    });
+}
+
+// Return true when the text references the variable, e.g. $NAME or ${NAME:-x}.
+function referencesVariable(text, name) {
+    name = utils.escapeRegExp(name);
+    return new RegExp('\\$(' + name + '(?![A-Za-z0-9_])|\\{' + name
+        + '[}:#%/+\\-?])').test(text);
+}
+
+
+/*
+ * The instruction rules. Each rule is called with the command and returns an
+ * array of problems, each with the `severity` and the `message`.
+ */
+
+function checkUnknownInstruction(cmd) {
+    var known = Object.keys(build.Builder.commandMap);
+    var suggestion;
+
+    if (known.indexOf(cmd.name) >= 0) {
+        return [];
+    }
+
+    known.forEach(function _checkDistance(name) {
+        var distance = editDistance(cmd.name, name);
+        if (distance <= 2 && (!suggestion || distance < suggestion.distance)) {
+            suggestion = { distance: distance, name: name };
+        }
+    });
+
+    return [ {
+        severity: SEVERITY_ERROR,
+        message: util.format('Unknown instruction: %s%s', cmd.name,
+            (suggestion ? util.format(' (did you mean %s?)', suggestion.name)
+                : ''))
+    } ];
+}
+
+function checkShellForm(cmd) {
+    if ((cmd.name !== 'CMD' && cmd.name !== 'ENTRYPOINT')
+        || typeof (cmd.args) !== 'string' || checkSingleQuotes(cmd).length) {
+        return [];
+    }
+
+    return [ {
+        severity: SEVERITY_WARNING,
+        message: util.format('%s uses the shell form, use the JSON form (e.g. '
+            + '%s ["executable", "arg"]) so the process receives signals',
+            cmd.name, cmd.name)
+    } ];
+}
+
+function checkMaintainer(cmd) {
+    if (cmd.name !== 'MAINTAINER') {
+        return [];
+    }
+
+    return [ {
+        severity: SEVERITY_WARNING,
+        message: 'MAINTAINER is deprecated, use LABEL maintainer=<name> '
+            + 'instead'
+    } ];
+}
+
+function checkAddInsteadOfCopy(cmd) {
+    if (cmd.name !== 'ADD' || !Array.isArray(cmd.args)) {
+        return [];
+    }
+
+    var args = cmd.args.filter(function (arg) {
+        return arg.slice(0, 2) !== '--';
+    });
+    if (args.length < 2 || args.length < cmd.args.length) {
+        // Missing sources (reported by the build) or flags (e.g.
+        // --checksum) that only ADD supports.
+        return [];
+    }
+
+    var needsAdd = args.slice(0, -1).some(function (src) {
+        return ADD_ARCHIVE_RE.test(src) || ADD_REMOTE_RE.test(src)
+            || src.indexOf('$') >= 0;
+    });
+    if (needsAdd) {
+        return [];
+    }
+
+    return [ {
+        severity: SEVERITY_WARNING,
+        message: 'Use COPY instead of ADD for files and directories, ADD is '
+            + 'only needed for urls and archives'
+    } ];
+}
+
+function checkAptGetCleanup(cmd) {
+    if (cmd.name !== 'RUN') {
+        return [];
+    }
+
+    var text = getRunText(cmd);
+    if (!APT_GET_RE.test(text) || APT_CLEANUP_RE.test(text)) {
+        return [];
+    }
+
+    return [ {
+        severity: SEVERITY_WARNING,
+        message: 'Remove the apt-get package lists in the same RUN, e.g. '
+            + '"&& rm -rf /var/lib/apt/lists/*", to keep the layer small'
+    } ];
+}
+
+function checkSingleQuotes(cmd) {
+    if (typeof (cmd.args) !== 'string' || !/^\[[\s\S]*\]$/.test(cmd.args)
+        || cmd.args.indexOf('\'') === -1) {
+        return [];
+    }
+
+    return [ {
+        severity: SEVERITY_ERROR,
+        message: util.format('%s looks like a JSON array, but uses single '
+            + 'quotes - JSON strings must use double quotes, otherwise it is '
+            + 'used as a shell command', cmd.name)
+    } ];
+}
+
+var INSTRUCTION_RULES = {
+    'add-instead-of-copy': checkAddInsteadOfCopy,
+    'apt-get-cleanup': checkAptGetCleanup,
+    'json-single-quotes': checkSingleQuotes,
+    'maintainer-deprecated': checkMaintainer,
+    'shell-form': checkShellForm,
+    'unknown-instruction': checkUnknownInstruction
+};
+
+
+/*
+ * The Dockerfile rules. Each rule is called with the array of stages (each an
+ * array of commands, with the commands before the first FROM in stage 0) and
+ * returns an array of problems, each with the `cmd`, `severity` and `message`.
+ */
+
+function checkMissingUser(stages) {
+    var lastStage = stages[stages.length - 1];
+
+    if (stages.length < 2 || lastStage.some(function (cmd) {
+        return cmd.name === 'USER';
+    })) {
+        return [];
+    }
+
+    return [ {
+        cmd: lastStage[0],
+        severity: SEVERITY_WARNING,
+        message: 'No USER instruction in the final stage, the container will '
+            + 'run as root'
+    } ];
+}
+
+function checkUnusedArgs(stages) {
+    var fromCmds = stages.slice(1).map(function (cmds) {
+        return cmds[0];
+    });
+    var problems = [];
+
+    function isDeclared(name, cmds) {
+        return cmds.some(function (cmd) {
+            return (cmd.name === 'ARG' && getArgNames(cmd).indexOf(name) >= 0);
+        });
+    }
+
+    function isReferenced(name, cmds) {
+        return cmds.some(function (cmd) {
+            return referencesVariable(cmd.name === 'RUN' ? getRunText(cmd)
+                : cmd.raw, name);
+        });
+    }
+
+    stages.forEach(function _checkStage(stageCmds, stageIdx) {
+        stageCmds.forEach(function _checkCmd(cmd, idx) {
+            if (cmd.name !== 'ARG') {
+                return;
+            }
+
+            getArgNames(cmd).forEach(function _checkArg(name) {
+                var used;
+
+                if (PREDEFINED_ARGS.indexOf(name) >= 0) {
+                    return;
+                }
+                if (stageIdx === 0) {
+                    // A global ARG is used by FROM, or by redeclaring it in a
+                    // build stage.
+                    used = (isReferenced(name, stageCmds.slice(idx + 1))
+                        || isReferenced(name, fromCmds)
+                        || stages.slice(1).some(isDeclared.bind(null, name)));
+                } else {
+                    used = isReferenced(name, stageCmds.slice(idx + 1));
+                }
+
+                if (!used) {
+                    problems.push({
+                        cmd: cmd,
+                        severity: SEVERITY_WARNING,
+                        message: util.format('ARG %s is never used', name)
+                    });
+                }
+            });
+        });
+    });
+
+    return problems;
+}
+
+var DOCKERFILE_RULES = {
+    'missing-user': checkMissingUser,
+    'unused-arg': checkUnusedArgs
+};
+
+
+/**
+ * Check the Dockerfile contents and return an array of diagnostics (sorted by
+ * line), each like:
+ *   {
+ *     rule: 'shell-form',         // the rule name (see below)
+ *     severity: 'warning',        // 'error', 'warning' or 'info'
+ *     message: 'CMD uses the shell form, ...',
+ *     line: 12,                   // the first Dockerfile line (1-based)
+ *     endLine: 13                 // the last Dockerfile line (inclusive)
+ *   }
+ *
+ * The rules are:
+ *   add-instead-of-copy   - ADD used for plain files, where COPY would do
+ *   apt-get-cleanup       - apt-get install without removing the package lists
+ *   json-single-quotes    - a JSON form array using single quotes
+ *   maintainer-deprecated - use of the deprecated MAINTAINER instruction
+ *   missing-user          - the final stage does not set a USER
+ *   shell-form            - CMD or ENTRYPOINT using the shell form
+ *   unknown-instruction   - an unknown instruction, with a suggestion
+ *   unused-arg            - an ARG that is not referenced by a later
+ *                           instruction (of the same stage, or FROM for
+ *                           global args)
+ * and 'syntax-error' for a Dockerfile that cannot be parsed, which stops any
+ * further checks.
+ *
+ * Options:
+ *  - ignoreRules: Array, optional names of the rules to skip.
+ */
+function lint(contents, opts) {
+    assert.string(contents, 'contents');
+    assert.optionalObject(opts, 'opts');
+    opts = opts || {};
+    assert.optionalArrayOfString(opts.ignoreRules, 'opts.ignoreRules');
+
+    var commands;
+    var diagnostics = [];
+    var ignoreRules = opts.ignoreRules || [];
+    var stages = [[]];
+
+    function addDiagnostic(rule, cmd, problem) {
+        diagnostics.push({
+            rule: rule,
+            severity: problem.severity,
+            message: problem.message,
+            line: cmd.startLine,
+            endLine: cmd.endLine
+        });
+    }
+
+    try {
+        commands = dockerfile.parse(contents);
+    } catch (ex) {
+        // The first line of the message is the error, without the source.
+        diagnostics.push({
+            rule: 'syntax-error',
+            severity: SEVERITY_ERROR,
+            message: ex.message.split('\n')[0].replace(/^Dockerfile:\d+: /,
+                ''),
+            line: ex.lineno || 1,
+            endLine: ex.lineno || 1
+        });
+        return diagnostics;
+    }
+
+    commands.forEach(function _lintCmd(cmd) {
+        var cmds = [cmd];
+
+        if (cmd.name === 'FROM') {
+            stages.push([]);
+        }
+        stages[stages.length - 1].push(cmd);
+
+        if (cmd.name === 'ONBUILD' && cmd.args && cmd.args.name) {
+            // Check the trigger instruction too.
+            cmds.push(cmd.args);
+        }
+
+        Object.keys(INSTRUCTION_RULES).forEach(function _runRule(rule) {
+            if (ignoreRules.indexOf(rule) >= 0) {
+                return;
+            }
+            cmds.forEach(function _runRuleOnCmd(c) {
+                INSTRUCTION_RULES[rule](c).forEach(function (problem) {
+                    addDiagnostic(rule, cmd, problem);
+                });
+            });
+        });
+    });
+
+    Object.keys(DOCKERFILE_RULES).forEach(function _runRule(rule) {
+        if (ignoreRules.indexOf(rule) >= 0) {
+            return;
+        }
+        DOCKERFILE_RULES[rule](stages).forEach(function (problem) {
+            addDiagnostic(rule, problem.cmd, problem);
+        });
+    });
+
+    diagnostics.sort(function (a, b) {
+        return (a.line - b.line) || (SEVERITIES.indexOf(a.severity)
+            - SEVERITIES.indexOf(b.severity));
+    });
+
+    return diagnostics;
+}
+
+
+module.exports = {
+    lint: lint
+};
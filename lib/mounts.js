@@ -0,0 +1,210 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2017, Joyent, Inc.
+ */
+
+/*
+ * A stand-in implementation of the RUN mounts (the 'mounts' of a 'run' task
+ * event), for when the build commands are run directly inside of a local
+ * container root directory (e.g. in the tests), instead of by the host agent.
+ *
+ * Each cache mount source directory is moved into the target location inside
+ * of the container root before the command is run, and moved back out again
+ * afterwards, so the mounted content never ends up in the image. Secret mounts
+ * are copied into place and removed afterwards. Note that the sharing, readonly
+ * and ownership settings of a mount are not enforced.
+ *
+ * The mount targets are resolved like any other container path, so a symlink
+ * inside of the container cannot point a mount outside of the container root.
+ * Anything already at a target location is moved aside to a backup path next
+ * to (not inside of) the container root, out of reach of the command, and is
+ * put back when the mount is detached. Parent directories that had to be
+ * created for a target (e.g. '/run/secrets') are removed again as well, unless
+ * the command has put something into them.
+ */
+
+var fs = require('fs');
+var path = require('path');
+var util = require('util');
+
+var assert = require('assert-plus');
+var async = require('async');
+var mkdirp = require('mkdirp');
+
+var utils = require('./utils');
+
+
+/**
+ * Remove the given (empty) directories, in order, leaving any that are no
+ * longer empty (or have since been removed) alone.
+ */
+function removeCreatedDirs(dirs, callback) {
+    async.eachSeries(dirs, function _removeDir(dir, next) {
+        fs.rmdir(dir, function _rmdirCb(err) {
+            if (err && ['ENOENT', 'ENOTDIR', 'ENOTEMPTY', 'EEXIST'].indexOf(
+                    err.code) === -1) {
+                next(err);
+                return;
+            }
+            next();
+        });
+    }, callback);
+}
+
+/**
+ * Attach the given mounts inside of containerRootDir. Calls callback(err,
+ * detach), where detach is a function(callback) that must be called after the
+ * command has been run, to move the mounted directories back out (and remove
+ * the secrets).
+ */
+function attachLocalMounts(containerRootDir, mounts, callback) {
+    assert.string(containerRootDir, 'containerRootDir');
+    assert.arrayOfObject(mounts, 'mounts');
+    assert.func(callback, 'callback');
+
+    var attached = [];
+    var backupCount = 0;
+
+    function detach(cb) {
+        var firstErr = null;
+
+        async.eachSeries(attached.reverse(), function _detach(mnt, next) {
+            var removeTarget = (mnt.type === 'secret'
+                ? fs.unlink.bind(fs, mnt.targetPath)
+                : fs.rename.bind(fs, mnt.targetPath, mnt.source));
+            removeTarget(function _removeTargetCb(err) {
+                if (err && err.code === 'ENOENT' && mnt.type !== 'secret') {
+                    // The command removed the mounted directory, recreate an
+                    // (empty) cache directory in its place.
+                    mkdirp(mnt.source, {mode: mnt.mode}, restoreBackup);
+                    return;
+                }
+                restoreBackup(err && err.code !== 'ENOENT' ? err : null);
+            });
+
+            function restoreBackup(err) {
+                firstErr = firstErr || err;
+                if (!mnt.backupPath) {
+                    removeCreatedDirs(mnt.createdDirs, removeDirsCb);
+                    return;
+                }
+                fs.rename(mnt.backupPath, mnt.targetPath,
+                        function _restoreCb(restoreErr) {
+                    firstErr = firstErr || restoreErr;
+                    next();
+                });
+            }
+
+            function removeDirsCb(err) {
+                firstErr = firstErr || err;
+                next();
+            }
+        }, function _detachCb() {
+            cb(firstErr);
+        });
+    }
+
+    async.eachSeries(mounts, function _attach(mount, next) {
+        var mnt = {
+            backupPath: null,
+            createdDirs: [],
+            mode: mount.mode,
+            source: mount.source,
+            targetPath: null,
+            type: mount.type
+        };
+
+        try {
+            mnt.targetPath = path.join(containerRootDir,
+                utils.getRealpathFromRootDir(mount.target, containerRootDir));
+        } catch (ex) {
+            next(ex);
+            return;
+        }
+
+        async.series([
+            function makeSource(cb) {
+                if (mount.type === 'secret') {
+                    cb();
+                    return;
+                }
+                mkdirp(mnt.source, {mode: mount.mode}, cb);
+            },
+            function moveExistingTarget(cb) {
+                fs.lstat(mnt.targetPath, function _lstatCb(err) {
+                    if (err) {
+                        cb(err.code === 'ENOENT' ? null : err);
+                        return;
+                    }
+                    backupCount += 1;
+                    mnt.backupPath = util.format('%s.premount.%d',
+                        containerRootDir, backupCount);
+                    fs.rename(mnt.targetPath, mnt.backupPath, cb);
+                });
+            },
+            function makeTargetParent(cb) {
+                var parentDir = path.dirname(mnt.targetPath);
+                mkdirp(parentDir, function _mkdirpCb(err, made) {
+                    // Made is the topmost directory that was created, record
+                    // it and all of the directories below it, deepest first.
+                    var dir = parentDir;
+                    while (made) {
+                        mnt.createdDirs.push(dir);
+                        if (dir === made) {
+                            break;
+                        }
+                        dir = path.dirname(dir);
+                    }
+                    cb(err);
+                });
+            },
+            function moveSourceToTarget(cb) {
+                if (mount.type !== 'secret') {
+                    fs.rename(mnt.source, mnt.targetPath, cb);
+                    return;
+                }
+                fs.readFile(mnt.source, function _readSecretCb(err, data) {
+                    if (err) {
+                        cb(err);
+                        return;
+                    }
+                    fs.writeFile(mnt.targetPath, data, {mode: mount.mode}, cb);
+                });
+            }
+        ], function _attachCb(err) {
+            if (!err) {
+                attached.push(mnt);
+                next();
+                return;
+            }
+            if (!mnt.backupPath) {
+                removeCreatedDirs(mnt.createdDirs, function _removeDirsCb() {
+                    next(err);
+                });
+                return;
+            }
+            fs.rename(mnt.backupPath, mnt.targetPath, function _restoreCb() {
+                next(err);
+            });
+        });
+    }, function _attachMountsCb(err) {
+        if (err) {
+            // Undo what has been attached so far.
+            detach(function _detachCb() {
+                callback(err);
+            });
+            return;
+        }
+        callback(null, detach);
+    });
+}
+
+
+module.exports = {
+    attachLocalMounts: attachLocalMounts
+};
@@ -13,54 +13,185 @@
 // This will take a single word and an array of env variables and
 // process all quotes (" and ') as well as $xxx and ${xxx} env variable
 // tokens.  Tries to mimic bash shell process.
-// It doesn't support all flavors of ${xx:...} formats but new ones can
-// be added by adding code to the "special ${} format processing" section
+// The supported ${xx...} parameter expansion formats (as in BuildKit) are:
+//   ${xx:-word} ${xx-word} ${xx:+word} ${xx+word} ${xx:?msg} ${xx?msg}
+//   ${#xx} ${xx#pattern} ${xx##pattern} ${xx%pattern} ${xx%%pattern}
+//   ${xx/pattern/replacement} ${xx//pattern/replacement}
+// where pattern is a glob (*, ? and [...]), see processModifier.
 
 var util = require('util');
 
+var utils = require('./utils');
 
-function ShellWord(word, envs, pos) {
+
+// Collects the words of a processed word, split on the unquoted (and
+// unescaped) whitespace - including whitespace from variable expansions.
+function Fields() {
+    this.inWord = false;
+    this.word = '';
+    this.words = [];
+}
+
+// Add a char that is subject to splitting.
+Fields.prototype.addChar = function addChar(ch) {
+    if (!/\s/.test(ch)) {
+        this.addRawChar(ch);
+    } else if (this.inWord && this.word) {
+        this.words.push(this.word);
+        this.word = '';
+        this.inWord = false;
+    }
+};
+
+// Add a (quoted or escaped) char that is never split on.
+Fields.prototype.addRawChar = function addRawChar(ch) {
+    this.word += ch;
+    this.inWord = true;
+};
+
+Fields.prototype.addString = function addString(str) {
+    var i;
+    for (i = 0; i < str.length; i++) {
+        this.addChar(str[i]);
+    }
+};
+
+Fields.prototype.addRawString = function addRawString(str) {
+    this.word += str;
+    this.inWord = true;
+};
+
+Fields.prototype.getWords = function getWords() {
+    if (this.word) {
+        this.words.push(this.word);
+        this.word = '';
+        this.inWord = false;
+    }
+    return this.words;
+};
+
+
+// Supported options:
+//   escape     - the escape character, '\' (the default) or '`'
+//   rawQuotes  - quote characters are not special and are kept as-is
+//   rawEscapes - backslash escapes are kept as-is (including the backslash)
+//   strict     - throw an error for unterminated quotes, an unclosed ${ and
+//                invalid variable names, instead of accepting them
+function ShellWord(word, envs, opts) {
     this.word = word;
     this.envs = envs;
-    this.pos = pos || 0;
+    this.pos = 0;
+    this.escapeToken = (opts && opts.escape) || '\\';
+    this.rawQuotes = Boolean(opts && opts.rawQuotes);
+    this.rawEscapes = Boolean(opts && opts.rawEscapes);
+    this.strict = Boolean(opts && opts.strict);
+    this.inPattern = false; // Set whilst reading a glob pattern.
+    this.stoppedOn = '';    // The stop char that ended processStopOn.
+    this.words = [];        // The split words from processStopOn.
 }
 
 // Process the word, starting at 'pos', and stop when we get to the
-// end of the word or the 'stopChar' character
-ShellWord.prototype.processStopOn = function processStopOn(stopChar) {
+// end of the word or to one of the 'stopChars' characters
+ShellWord.prototype.processStopOn = function processStopOn(stopChars) {
     var ch;
+    var fields = new Fields();
     var fn;
+    var part;
     var result = '';
+    var stoppedOn = '';
     var charFuncMapping = {
         '\'': this.processSingleQuote,
         '"':  this.processDoubleQuote,
         '$':  this.processDollar
     };
 
+    if (this.rawQuotes) {
+        delete charFuncMapping['\''];
+        delete charFuncMapping['"'];
+    }
+
     while (this.pos < this.word.length) {
         ch = this.peek();
-        if (ch === stopChar) {
-            this.next();
+        if (stopChars.indexOf(ch) >= 0) {
+            stoppedOn = this.next();
             break;
         }
         fn = charFuncMapping[ch];
         if (fn) {
             // Call special processing function for certain chars
-            result += fn.call(this);
+            part = fn.call(this);
+            if (fn === this.processDollar) {
+                // Expanded variables are subject to splitting.
+                fields.addString(part);
+            } else {
+                fields.addRawString(part);
+                if (this.inPattern) {
+                    // Quoted pattern characters match literally.
+                    part = this.escapeGlob(part);
+                }
+            }
+            result += part;
         } else {
             // Not special, just add it to the result
             ch = this.next();
-            if (ch === '\\') {
+            if (ch === this.escapeToken) {
+                if (this.rawEscapes) {
+                    // Keep the backslash, but don't process the next char.
+                    result += ch;
+                }
                 // '\' escapes, except end of line
                 ch = this.next();
+                fields.addRawString(ch);
+            } else {
+                fields.addChar(ch);
             }
             result += ch;
         }
     }
 
+    this.stoppedOn = stoppedOn;
+    this.words = fields.getWords();
     return result;
 };
 
+// Process a glob pattern, stopping at one of the 'stopChars' characters. Any
+// escapes are kept, so escaped glob characters still match literally.
+ShellWord.prototype.processPattern = function processPattern(stopChars) {
+    var inPattern = this.inPattern;
+    var rawEscapes = this.rawEscapes;
+    var result;
+
+    this.inPattern = true;
+    this.rawEscapes = true;
+    try {
+        result = this.processStopOn(stopChars);
+    } finally {
+        this.inPattern = inPattern;
+        this.rawEscapes = rawEscapes;
+    }
+    return result;
+};
+
+// Escape the glob characters in str, using the escape token.
+ShellWord.prototype.escapeGlob = function escapeGlob(str) {
+    var escapeToken = this.escapeToken;
+    var re = new RegExp('[*?\\[\\]' + utils.escapeRegExp(escapeToken) + ']',
+        'g');
+
+    return str.replace(re, function (ch) {
+        return escapeToken + ch;
+    });
+};
+
+// Return an error for the problem found at the (character) offset in the word,
+// the offset is also available as the error's 'offset' property.
+ShellWord.prototype.error = function error(offset, msg) {
+    var err = new Error(util.format('%s at offset %d in: %s', msg, offset,
+        this.word));
+    err.offset = offset;
+    return err;
+};
+
 ShellWord.prototype.peek = function peek() {
     if (this.pos === this.word.length) {
         return '';
@@ -82,11 +213,15 @@ ShellWord.prototype.processSingleQuote = function processSingleQuote() {
     // Note, you can't escape '
     var ch;
     var result = '';
+    var start = this.pos;
 
     this.next();
 
     while (1) {
         ch = this.next();
+        if (!ch && this.strict) {
+            throw this.error(start, 'Unterminated single quote');
+        }
         if (!ch || ch === '\'') {
             break;
         }
@@ -97,10 +232,12 @@ ShellWord.prototype.processSingleQuote = function processSingleQuote() {
 
 ShellWord.prototype.processDoubleQuote = function processDoubleQuote() {
     // All chars up to the next " are taken as-is, even ', except any $ chars
-    // But you can escape " with a \ (backslash).
+    // But you can escape " with a \ (backslash, or the escape token).
     var ch;
     var chNext;
     var result = '';
+    var start = this.pos;
+    var terminated = false;
 
     this.next();
 
@@ -108,13 +245,14 @@ ShellWord.prototype.processDoubleQuote = function processDoubleQuote() {
         ch = this.peek();
         if (ch === '"') {
             this.next();
+            terminated = true;
             break;
         }
         if (ch === '$') {
             result += this.processDollar();
         } else {
             ch = this.next();
-            if (ch === '\\') {
+            if (ch === this.escapeToken) {
                 chNext = this.peek();
 
                 if (!chNext) {
@@ -131,59 +269,47 @@ ShellWord.prototype.processDoubleQuote = function processDoubleQuote() {
         }
     }
 
+    if (!terminated && this.strict) {
+        throw this.error(start, 'Unterminated double quote');
+    }
     return result;
 };
 
 ShellWord.prototype.processDollar = function processDollar() {
     var ch;
     var name;
-    var modifier;
-    var newValue;
-    var word;
+    var nameStart;
+    var start = this.pos;
 
     this.next();
     ch = this.peek();
     if (ch === '{') {
         this.next();
+        if (this.peek() === '#') {
+            // ${#xx} is the length of the value.
+            this.next();
+            name = this.processName();
+            if (!name || this.next() !== '}') {
+                throw this.error(start, 'Invalid length substitution');
+            }
+            return String(this.getEnv(name).length);
+        }
+        nameStart = this.pos;
         name = this.processName();
         ch = this.peek();
+        if (this.strict && (!name || ':-+?#%/}'.indexOf(ch) === -1)) {
+            throw this.error(nameStart, 'Invalid variable name');
+        }
         if (ch === '}') {
             // Normal ${xx} case
             this.next();
             return this.getEnv(name);
         }
-        if (ch === ':') {
-            // Special ${xx:...} format processing
-            // Yes it allows for recursive $'s in the ... spot
-
-            this.next(); // skip over :
-            modifier = this.next();
-
-            word = this.processStopOn('}');
-
-            // Grab the current value of the variable in question so we
-            // can use to to determine what to do based on the modifier
-            newValue = this.getEnv(name);
-
-            switch (modifier) {
-                case '+':
-                    if (newValue) {
-                        newValue = word;
-                    }
-                    return newValue;
-                case '-':
-                    if (!newValue) {
-                        newValue = word;
-                    }
-                    return newValue;
-                default:
-                    throw new Error(util.format(
-                        'Unsupported modifier (%c) in substitution: %s',
-                        modifier, this.word));
-            }
+        if (!ch) {
+            throw this.error(start, 'Unclosed ${');
         }
-        throw new Error(util.format('Missing ":" in substitution: %s',
-            this.word));
+        // Special ${xx...} format processing
+        return this.processModifier(name, start);
     }
     // $xxx case
     name = this.processName();
@@ -193,6 +319,134 @@ ShellWord.prototype.processDollar = function processDollar() {
     return this.getEnv(name);
 };
 
+// Process the ${name...} modifier, with the position just after the name, where
+// start is the offset of the '$'.
+// Yes it allows for recursive $'s in the word and pattern spots.
+ShellWord.prototype.processModifier = function processModifier(name, start) {
+    var all;
+    var colon = false;
+    var longest;
+    var modifier = this.next();
+    var pattern;
+    var replacement = '';
+    var unset;
+    var value = this.lookupEnv(name);
+    var word;
+
+    if (modifier === ':') {
+        colon = true;
+        modifier = this.next();
+    }
+
+    // With a colon, an empty value is treated the same as an unset value.
+    unset = (value === null || (colon && value === ''));
+
+    switch (modifier) {
+        case '-':
+            word = this.processStopOn('}');
+            this.checkClosed(start);
+            return (unset ? word : value);
+        case '+':
+            word = this.processStopOn('}');
+            this.checkClosed(start);
+            return (unset ? '' : word);
+        case '?':
+            word = this.processStopOn('}');
+            this.checkClosed(start);
+            if (unset) {
+                throw new Error(util.format('%s: %s', name,
+                    word || 'parameter null or not set'));
+            }
+            return value;
+        default:
+            break;
+    }
+
+    value = value || '';
+
+    if (!colon && (modifier === '#' || modifier === '%')) {
+        // Prefix (#) and suffix (%) removal, doubled for the longest match.
+        longest = (this.peek() === modifier);
+        if (longest) {
+            this.next();
+        }
+        pattern = this.globToRegExp(this.processPattern('}'));
+        this.checkClosed(start);
+        return removeMatch(value, pattern, (modifier === '#'), longest);
+    }
+
+    if (!colon && modifier === '/') {
+        // Substitution of the first (or with //, all) pattern matches.
+        all = (this.peek() === '/');
+        if (all) {
+            this.next();
+        }
+        pattern = this.processPattern('/}');
+        if (this.stoppedOn === '/') {
+            replacement = this.processStopOn('}');
+        }
+        this.checkClosed(start);
+        if (!pattern) {
+            return value;
+        }
+        return replaceMatch(value, this.globToRegExp(pattern), replacement,
+            all);
+    }
+
+    throw this.error(start, util.format(
+        'Unsupported modifier (%s) in substitution', (colon ? ':' : '')
+        + modifier));
+};
+
+// In strict mode, check the ${ (at offset start) was closed by the last
+// processStopOn call.
+ShellWord.prototype.checkClosed = function checkClosed(start) {
+    if (this.strict && this.stoppedOn !== '}') {
+        throw this.error(start, 'Unclosed ${');
+    }
+};
+
+// Convert the glob pattern (as read by processPattern) into an anchored
+// regular expression.
+ShellWord.prototype.globToRegExp = function globToRegExp(pattern) {
+    var body;
+    var ch;
+    var end;
+    var i;
+    var re = '';
+    var start;
+
+    for (i = 0; i < pattern.length; i++) {
+        ch = pattern[i];
+        if (ch === this.escapeToken && i + 1 < pattern.length) {
+            i++;
+            re += utils.escapeRegExp(pattern[i]);
+        } else if (ch === '*') {
+            re += '[\\s\\S]*';
+        } else if (ch === '?') {
+            re += '[\\s\\S]';
+        } else if (ch === '[') {
+            // A bracket expression, where a leading ']' is part of the set.
+            start = i + 1;
+            if (pattern[start] === '!' || pattern[start] === '^') {
+                start++;
+            }
+            end = pattern.indexOf(']', start + 1);
+            if (end === -1) {
+                re += '\\[';
+                continue;
+            }
+            body = pattern.slice(start, end).replace(/[\\\]]/g, '\\$&');
+            re += (start > i + 1 ? '[^' : '[') + body + ']';
+            i = end;
+        } else {
+            re += utils.escapeRegExp(ch);
+        }
+    }
+
+    return new RegExp('^(?:' + re + ')$');
+};
+
 ShellWord.prototype.processName = function processName() {
     // Read in a name (alphanumeric or _)
     // If it starts with a numeric then just return $#
@@ -213,8 +467,9 @@ ShellWord.prototype.processName = function processName() {
     return name;
 };
 
-ShellWord.prototype.getEnv = function getEnv(name) {
-    var result = '';
+// Return the value of the named env variable, or null when it's not set.
+ShellWord.prototype.lookupEnv = function lookupEnv(name) {
+    var result = null;
 
     this.envs.some(function getEnvForEach(env) {
         var idx = env.indexOf('=');
@@ -237,15 +492,84 @@ ShellWord.prototype.getEnv = function getEnv(name) {
     return result;
 };
 
+ShellWord.prototype.getEnv = function getEnv(name) {
+    var result = this.lookupEnv(name);
+    return (result === null ? '' : result);
+};
+
+
+// Remove the shortest (or longest) prefix or suffix of value that matches the
+// pattern regex.
+function removeMatch(value, pattern, fromStart, longest) {
+    var i;
+    var k;
+    var len = value.length;
+
+    for (k = 0; k <= len; k++) {
+        if (fromStart) {
+            i = (longest ? len - k : k);
+            if (pattern.test(value.slice(0, i))) {
+                return value.slice(i);
+            }
+        } else {
+            i = (longest ? k : len - k);
+            if (pattern.test(value.slice(i))) {
+                return value.slice(0, i);
+            }
+        }
+    }
+
+    return value;
+}
+
+// Replace the longest match(es) of the pattern regex in value, scanning from
+// left to right. Empty matches are never replaced.
+function replaceMatch(value, pattern, replacement, all) {
+    var i = 0;
+    var j;
+    var result = '';
+
+    while (i < value.length) {
+        for (j = value.length; j > i; j--) {
+            if (pattern.test(value.slice(i, j))) {
+                break;
+            }
+        }
+        if (j === i) {
+            result += value[i];
+            i++;
+            continue;
+        }
+        result += replacement;
+        i = j;
+        if (!all) {
+            break;
+        }
+    }
+
+    return result + value.slice(i);
+}
+
 
 // ProcessWord will use the 'env' list of environment variables,
-// and replace any env var references in 'word'.
-function processWord(word, env) {
-    var sw = new ShellWord(word, env);
+// and replace any env var references in 'word'. See ShellWord for the
+// supported 'opts'.
+function processWord(word, env, opts) {
+    var sw = new ShellWord(word, env, opts);
     return sw.processStopOn('');
 }
 
+// ProcessWords is like ProcessWord, but returns an array of the words, as
+// split on the whitespace that is not quoted or escaped. This includes the
+// whitespace in variable values, so "$a b" is one word, but $a may be many.
+function processWords(word, env, opts) {
+    var sw = new ShellWord(word, env, opts);
+    sw.processStopOn('');
+    return sw.words;
+}
+
 
 module.exports = {
-    processWord: processWord
+    processWord: processWord,
+    processWords: processWords
 };
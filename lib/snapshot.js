@@ -0,0 +1,273 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2017, Joyent, Inc.
+ */
+
+/*
+ * Filesystem snapshots of the container root directory, used to work out the
+ * layer changes of a build step. A snapshot is taken before the step is run,
+ * and diffed against a snapshot taken afterwards, which gives the changeset of
+ * the step - the added, modified and deleted paths. As with docker layers, a
+ * deleted path is represented by a whiteout file, an empty file named
+ * '.wh.<name>' in the same directory.
+ */
+
+var fs = require('fs');
+var path = require('path');
+var util = require('util');
+
+var assert = require('assert-plus');
+var async = require('async');
+
+var utils = require('./utils');
+
+
+// Prefix of the whiteout file names, which mark a deleted path in a layer.
+const WHITEOUT_PREFIX = '.wh.';
+
+// The entry fields that are compared to detect a modified path.
+const COMPARED_FIELDS = [
+    'type', 'mode', 'uid', 'gid', 'size', 'mtime', 'hash', 'linkname'
+];
+
+
+/**
+ * Return the whiteout path for the given (deleted) path, e.g. 'etc/motd'
+ * becomes 'etc/.wh.motd'.
+ */
+function getWhiteoutPath(p) {
+    var dir = path.posix.dirname(p);
+    var name = WHITEOUT_PREFIX + path.posix.basename(p);
+    return (dir === '.' ? name : dir + '/' + name);
+}
+
+/**
+ * Take a snapshot of the given root directory, calling callback(err, snapshot)
+ * where snapshot is a map of each path (relative to the root) to an entry like:
+ *   {
+ *     path: 'etc/motd',
+ *     type: 'file',          // one of 'file', 'directory' or 'symlink'
+ *     mode: 420,             // the permission bits
+ *     uid: 0,
+ *     gid: 0,
+ *     size: 58,
+ *     mtime: 1500000000,     // in seconds
+ *     hash: '4a7e...',       // sha256 of the file content (files only)
+ *     linkname: '...',       // symlinks only
+ *     statKey: '...'         // identifies the file version, see below
+ *   }
+ * Sockets, fifos and devices are skipped.
+ *
+ * Options:
+ *  - previous: Object, an earlier snapshot of the same root, the content hash
+ *    of a file is reused when the inode, size, mtime and ctime of the file are
+ *    unchanged (as the ctime cannot be set, a changed file is always hashed).
+ */
+function takeSnapshot(rootDir, opts, callback) {
+    assert.string(rootDir, 'rootDir');
+    assert.object(opts, 'opts');
+    assert.optionalObject(opts.previous, 'opts.previous');
+    assert.func(callback, 'callback');
+
+    var previous = opts.previous || {};
+    var snapshot = {};
+
+    function addEntry(relPath, cb) {
+        var fullpath = path.join(rootDir, relPath);
+
+        fs.lstat(fullpath, function _lstatCb(err, st) {
+            if (err) {
+                cb(err);
+                return;
+            }
+
+            var entry = {
+                path: relPath,
+                type: null,
+                mode: st.mode & parseInt('7777', 8),
+                uid: st.uid,
+                gid: st.gid,
+                size: 0,
+                mtime: Math.floor(st.mtime.getTime() / 1000),
+                statKey: util.format('%d:%d:%d:%d', st.ino, st.size,
+                    st.mtime.getTime(), st.ctime.getTime())
+            };
+
+            if (st.isDirectory()) {
+                entry.type = 'directory';
+                snapshot[relPath] = entry;
+                addDirEntries(relPath, cb);
+                return;
+            }
+
+            if (st.isSymbolicLink()) {
+                entry.type = 'symlink';
+                snapshot[relPath] = entry;
+                fs.readlink(fullpath, function _readlinkCb(linkErr, linkname) {
+                    entry.linkname = linkname;
+                    cb(linkErr);
+                });
+                return;
+            }
+
+            if (!st.isFile()) {
+                cb();
+                return;
+            }
+
+            entry.type = 'file';
+            entry.size = st.size;
+            snapshot[relPath] = entry;
+
+            var prevEntry = previous[relPath];
+            if (prevEntry && prevEntry.type === 'file'
+                && prevEntry.statKey === entry.statKey) {
+
+                entry.hash = prevEntry.hash;
+                cb();
+                return;
+            }
+            utils.fileGetSha256(fullpath, function _hashCb(hashErr, hash) {
+                entry.hash = hash;
+                cb(hashErr);
+            });
+        });
+    }
+
+    function addDirEntries(relDir, cb) {
+        fs.readdir(path.join(rootDir, relDir), function _readdirCb(err, names) {
+            if (err) {
+                cb(err);
+                return;
+            }
+            async.eachSeries(names.sort(), function _addName(name, next) {
+                addEntry(relDir ? relDir + '/' + name : name, next);
+            }, cb);
+        });
+    }
+
+    addDirEntries('', function _snapshotCb(err) {
+        if (err) {
+            callback(err);
+            return;
+        }
+        callback(null, snapshot);
+    });
+}
+
+/**
+ * Return the changes between the before and after snapshots (see takeSnapshot)
+ * as an array ordered by path, so a directory always comes before its
+ * contents. Each change is an object like:
+ *   {
+ *     type: 'add',         // one of 'add', 'modify' or 'delete'
+ *     path: 'etc/motd',
+ *     entry: Object,       // the after snapshot entry, for 'add' and 'modify'
+ *     whiteout: '...'      // the whiteout path, for 'delete'
+ *   }
+ * The contents of a deleted directory (or of a directory that was replaced by
+ * a file) are not listed, as they are covered by the parent change.
+ */
+function diffSnapshots(before, after) {
+    assert.object(before, 'before');
+    assert.object(after, 'after');
+
+    var changes = [];
+    var paths = Object.keys(before).concat(Object.keys(after).filter(
+        function _isNew(p) {
+            return !before.hasOwnProperty(p);
+        })).sort();
+
+    // Return true when a parent directory of p is no longer a directory.
+    function isParentRemoved(p) {
+        var parentDir = path.posix.dirname(p);
+        while (parentDir !== '.') {
+            if (!after.hasOwnProperty(parentDir)
+                || after[parentDir].type !== 'directory') {
+                return true;
+            }
+            parentDir = path.posix.dirname(parentDir);
+        }
+        return false;
+    }
+
+    paths.forEach(function _diffPath(p) {
+        var newEntry = after[p];
+        var oldEntry = before[p];
+
+        if (!newEntry) {
+            if (!isParentRemoved(p)) {
+                changes.push({
+                    type: 'delete',
+                    path: p,
+                    whiteout: getWhiteoutPath(p)
+                });
+            }
+            return;
+        }
+
+        if (!oldEntry) {
+            changes.push({type: 'add', path: p, entry: newEntry});
+            return;
+        }
+
+        var modified = COMPARED_FIELDS.some(function _isFieldChanged(field) {
+            return oldEntry[field] !== newEntry[field];
+        });
+        if (modified) {
+            changes.push({type: 'modify', path: p, entry: newEntry});
+        }
+    });
+
+    return changes;
+}
+
+/**
+ * Return the tar entries (see utils.createTarfileSync) for the given changes
+ * (see diffSnapshots) of the root directory, i.e. the contents of the layer
+ * tarball. Deleted paths become empty whiteout files.
+ */
+function getChangesetTarEntries(rootDir, changes) {
+    assert.string(rootDir, 'rootDir');
+    assert.arrayOfObject(changes, 'changes');
+
+    return changes.map(function _changeToTarEntry(change) {
+        if (change.type === 'delete') {
+            return {
+                content: '',
+                name: change.whiteout
+            };
+        }
+
+        var entry = change.entry;
+        var tarEntry = {
+            gid: entry.gid,
+            mode: entry.mode,
+            mtime: entry.mtime,
+            name: entry.path,
+            type: entry.type,
+            uid: entry.uid
+        };
+        if (entry.type === 'directory') {
+            tarEntry.name += '/';
+        } else if (entry.type === 'symlink') {
+            tarEntry.linkname = entry.linkname;
+        } else {
+            tarEntry.filepath = path.join(rootDir, entry.path);
+        }
+        return tarEntry;
+    });
+}
+
+
+module.exports = {
+    diffSnapshots: diffSnapshots,
+    getChangesetTarEntries: getChangesetTarEntries,
+    getWhiteoutPath: getWhiteoutPath,
+    takeSnapshot: takeSnapshot
+};
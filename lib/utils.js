@@ -10,10 +10,32 @@
 
 var crypto = require('crypto');
 var fs = require('fs');
+var path = require('path');
+var util = require('util');
 
+var async = require('async');
 var once = require('once');
 
 
+// Number of nanoseconds for each of the golang duration units.
+const DURATION_UNITS = {
+    'ns': 1,
+    'us': 1e3,
+    '\u00b5s': 1e3,  // micro sign
+    '\u03bcs': 1e3,  // greek letter mu
+    'ms': 1e6,
+    's': 1e9,
+    'm': 60 * 1e9,
+    'h': 60 * 60 * 1e9
+};
+
+
+function ForbiddenPathException(msg) {
+    this.message = msg;
+}
+util.inherits(ForbiddenPathException, Error);
+
+
 function containsWildcards(name) {
     var i;
     var ch;
@@ -79,10 +101,631 @@ function objCopy(from, to) {
 }
 
 
+/**
+ * Return the canonical JSON serialization of the given value, which is the
+ * compact JSON.stringify format with the object keys in sorted order, so that
+ * equal values always serialize (and hash) the same.
+ */
+function canonicalJson(value) {
+    if (Array.isArray(value)) {
+        return '[' + value.map(function (entry) {
+            return (entry === undefined ? 'null' : canonicalJson(entry));
+        }).join(',') + ']';
+    }
+    if (value !== null && typeof (value) === 'object') {
+        return '{' + Object.keys(value).sort().filter(function (key) {
+            return value[key] !== undefined;
+        }).map(function (key) {
+            return JSON.stringify(key) + ':' + canonicalJson(value[key]);
+        }).join(',') + '}';
+    }
+    return JSON.stringify(value);
+}
+
+
+/**
+ * Parse a golang duration string (e.g. '1m30s', '500ms') and return the number
+ * of nanoseconds. Throws an error when the duration string is not valid.
+ */
+function parseDuration(str) {
+    var match;
+    var remaining = str;
+    var result = 0;
+    var unit;
+    var re = /^([0-9]*(?:\.[0-9]*)?)([a-z\u00b5\u03bc]+)/;
+
+    if (str === '0') {
+        return 0;
+    }
+    if (!str) {
+        throw new Error(util.format('invalid duration %j', str));
+    }
+
+    while (remaining) {
+        match = remaining.match(re);
+        if (!match || !match[1] || match[1] === '.') {
+            throw new Error(util.format('invalid duration %j', str));
+        }
+        unit = DURATION_UNITS[match[2]];
+        if (!unit) {
+            throw new Error(util.format('unknown unit %s in duration %j',
+                match[2], str));
+        }
+        result += Math.round(parseFloat(match[1]) * unit);
+        remaining = remaining.slice(match[0].length);
+    }
+
+    return result;
+}
+
+
+// Format the value/unit as a decimal number, without trailing zeros.
+function formatDecimal(value, unit) {
+    var digits = String(unit).length - 1;
+    var frac = String(value % unit);
+    var result = String(Math.floor(value / unit));
+
+    if (frac !== '0') {
+        while (frac.length < digits) {
+            frac = '0' + frac;
+        }
+        result += '.' + frac.replace(/0+$/, '');
+    }
+    return result;
+}
+
+
+/**
+ * Format the nanoseconds as a golang duration string, the same way that the
+ * golang time.Duration.String() function does, e.g. '1h2m0.5s' or '1.5ms'.
+ */
+function formatDuration(ns) {
+    var hours;
+    var minutes;
+    var result;
+
+    if (ns === 0) {
+        return '0s';
+    }
+    if (ns < 1e3) {
+        return ns + 'ns';
+    }
+    if (ns < 1e6) {
+        return formatDecimal(ns, 1e3) + '\u00b5s';
+    }
+    if (ns < 1e9) {
+        return formatDecimal(ns, 1e6) + 'ms';
+    }
+
+    hours = Math.floor(ns / DURATION_UNITS.h);
+    ns -= hours * DURATION_UNITS.h;
+    minutes = Math.floor(ns / DURATION_UNITS.m);
+    ns -= minutes * DURATION_UNITS.m;
+
+    result = formatDecimal(ns, 1e9) + 's';
+    if (hours > 0 || minutes > 0) {
+        result = minutes + 'm' + result;
+    }
+    if (hours > 0) {
+        result = hours + 'h' + result;
+    }
+    return result;
+}
+
+
+// The ustar typeflag values for the supported tar entry types.
+const TAR_TYPEFLAGS = {
+    directory: '5',
+    file: '0',
+    symlink: '2'
+};
+
+function octal(value, length) {
+    var str = value.toString(8);
+    while (str.length < length - 1) {
+        str = '0' + str;
+    }
+    return str + '\0';
+}
+
+/**
+ * Return a 512 byte ustar header block for the given header fields (the name,
+ * prefix and linkname must fit their fields).
+ */
+function getTarHeaderBlock(fields) {
+    var checksum = 0;
+    var header = Buffer.alloc(512);
+    var i;
+
+    function writeField(offset, length, value) {
+        header.write(value, offset, Math.min(Buffer.byteLength(value), length),
+            'utf8');
+    }
+
+    writeField(0, 100, fields.name);
+    writeField(100, 8, octal(fields.mode, 8));
+    writeField(108, 8, octal(fields.uid, 8));
+    writeField(116, 8, octal(fields.gid, 8));
+    writeField(124, 12, octal(fields.size, 12));
+    writeField(136, 12, octal(fields.mtime, 12));
+    writeField(148, 8, '        ');  // checksum placeholder
+    writeField(156, 1, fields.typeflag);
+    writeField(157, 100, fields.linkname || '');
+    writeField(257, 8, 'ustar\u000000');
+    writeField(345, 155, fields.prefix || '');
+    for (i = 0; i < header.length; i++) {
+        checksum += header[i];
+    }
+    writeField(148, 8, octal(checksum, 7) + ' ');
+
+    return header;
+}
+
+/**
+ * Return the pax extended header record for the given key and value, i.e.
+ * '<length> <key>=<value>\n', where the length includes itself.
+ */
+function getPaxRecord(key, value) {
+    var len = Buffer.byteLength(util.format(' %s=%s\n', key, value));
+    var total = len + String(len).length;
+
+    if (String(total).length !== String(len).length) {
+        total += 1;
+    }
+    return util.format('%d %s=%s\n', total, key, value);
+}
+
+/**
+ * Return the ustar header (buffer) for the tar entry (see createTarfileSync)
+ * with the given content size, throws an error for an unsupported entry. A
+ * symlink target that doesn't fit the ustar linkname field is stored in a pax
+ * extended header, which comes before the ustar header in the buffer.
+ */
+function getTarHeader(entry, size, now) {
+    var blocks = [];
+    var fields;
+    var name = entry.name;
+    var paxData;
+    var prefix = '';
+    var splitIdx;
+    var type = entry.type || 'file';
+
+    if (!TAR_TYPEFLAGS.hasOwnProperty(type)) {
+        throw new Error(util.format('unsupported tar entry type %s for %s',
+            type, entry.name));
+    }
+
+    // Long names are split (at a slash) into the ustar prefix field.
+    if (Buffer.byteLength(name) > 100) {
+        splitIdx = name.lastIndexOf('/', name.length - 2);
+        while (splitIdx > 0 && Buffer.byteLength(name.slice(0, splitIdx))
+                > 155) {
+            splitIdx = name.lastIndexOf('/', splitIdx - 1);
+        }
+        if (splitIdx <= 0
+            || Buffer.byteLength(name.slice(splitIdx + 1)) > 100) {
+            throw new Error(util.format('tar entry name is too long: %s',
+                name));
+        }
+        prefix = name.slice(0, splitIdx);
+        name = name.slice(splitIdx + 1);
+    }
+
+    fields = {
+        gid: entry.gid || 0,
+        linkname: (type === 'symlink' ? entry.linkname : ''),
+        mode: entry.mode || (type === 'file' ? parseInt('644', 8)
+            : parseInt('755', 8)),
+        mtime: (typeof (entry.mtime) === 'number' ? entry.mtime : now),
+        name: name,
+        prefix: prefix,
+        size: size,
+        typeflag: TAR_TYPEFLAGS[type],
+        uid: entry.uid || 0
+    };
+
+    if (Buffer.byteLength(fields.linkname) > 100) {
+        paxData = Buffer.from(getPaxRecord('linkpath', fields.linkname),
+            'utf8');
+        blocks.push(getTarHeaderBlock(objCopy({
+            linkname: '',
+            name: 'PaxHeader',
+            prefix: '',
+            size: paxData.length,
+            typeflag: 'x'
+        }, objCopy(fields))));
+        blocks.push(paxData);
+        if (paxData.length % 512 !== 0) {
+            blocks.push(Buffer.alloc(512 - (paxData.length % 512)));
+        }
+        // Readers use the pax linkpath, the ustar field is a placeholder.
+        fields.linkname = '';
+    }
+    blocks.push(getTarHeaderBlock(fields));
+
+    return Buffer.concat(blocks);
+}
+
+/**
+ * Return the content buffer of a tar entry that has inline `content`, or null.
+ */
+function getTarEntryContent(entry) {
+    if ((entry.type || 'file') !== 'file'
+        || typeof (entry.filepath) === 'string') {
+        return null;
+    }
+    return (Buffer.isBuffer(entry.content) ? entry.content
+        : Buffer.from(entry.content, 'utf8'));
+}
+
+/**
+ * Write a (ustar format) tar file containing the given entries. Each entry is
+ * an object with a `name` (at most 255 characters, directory names ending with
+ * a slash), optional numeric `mode`, `mtime` (in seconds), `uid` and `gid`
+ * fields (the owner defaults to root), and an optional `type` of 'file' (the
+ * default), 'directory' or 'symlink'. Files have either `content` (a string or
+ * buffer) or `filepath` (a file to copy the content from), symlinks have a
+ * `linkname`.
+ */
+function createTarfileSync(tarpath, entries) {
+    var chunk = Buffer.alloc(64 * 1024);
+    var fd = fs.openSync(tarpath, 'w');
+    var now = Math.floor(Date.now() / 1000);
+
+    function addTarEntry(entry) {
+        var content = getTarEntryContent(entry);
+        var header;
+        var nread;
+        var size = 0;
+        var srcFd;
+
+        if (content) {
+            size = content.length;
+        } else if (typeof (entry.filepath) === 'string') {
+            size = fs.statSync(entry.filepath).size;
+        }
+
+        header = getTarHeader(entry, size, now);
+        fs.writeSync(fd, header, 0, header.length);
+
+        if (content) {
+            fs.writeSync(fd, content, 0, content.length);
+        } else if (typeof (entry.filepath) === 'string') {
+            // Copy the file content in chunks, to avoid reading large files
+            // into memory.
+            srcFd = fs.openSync(entry.filepath, 'r');
+            try {
+                while ((nread = fs.readSync(srcFd, chunk, 0, chunk.length,
+                        null)) > 0) {
+                    fs.writeSync(fd, chunk, 0, nread);
+                }
+            } finally {
+                fs.closeSync(srcFd);
+            }
+        }
+        if (size % 512 !== 0) {
+            fs.writeSync(fd, Buffer.alloc(512 - (size % 512)));
+        }
+    }
+
+    try {
+        entries.forEach(addTarEntry);
+        // End of archive marker.
+        fs.writeSync(fd, Buffer.alloc(1024));
+    } finally {
+        fs.closeSync(fd);
+    }
+}
+
+/**
+ * Asynchronous version of createTarfileSync, calls callback(err) when the tar
+ * file has been written.
+ */
+function createTarfile(tarpath, entries, callback) {
+    var now = Math.floor(Date.now() / 1000);
+    var tstream = fs.createWriteStream(tarpath);
+
+    callback = once(callback);
+
+    // Write the data, waiting for the stream to drain when it is full.
+    function write(data, cb) {
+        if (tstream.write(data)) {
+            setImmediate(cb);
+            return;
+        }
+        tstream.once('drain', cb);
+    }
+
+    function addTarEntry(entry, next) {
+        var content = getTarEntryContent(entry);
+
+        function writeEntry(size) {
+            var header;
+
+            try {
+                header = getTarHeader(entry, size, now);
+            } catch (e) {
+                next(e);
+                return;
+            }
+
+            async.series([
+                function writeHeader(cb) {
+                    write(header, cb);
+                },
+                function writeContent(cb) {
+                    if (content) {
+                        write(content, cb);
+                        return;
+                    }
+                    if (typeof (entry.filepath) !== 'string') {
+                        cb();
+                        return;
+                    }
+                    var fstream = fs.createReadStream(entry.filepath);
+                    fstream.on('error', cb);
+                    fstream.on('end', function () {
+                        cb();
+                    });
+                    fstream.pipe(tstream, { end: false });
+                },
+                function writePadding(cb) {
+                    if (size % 512 === 0) {
+                        cb();
+                        return;
+                    }
+                    write(Buffer.alloc(512 - (size % 512)), cb);
+                }
+            ], function (err) {
+                next(err);
+            });
+        }
+
+        if (content) {
+            writeEntry(content.length);
+        } else if (typeof (entry.filepath) === 'string') {
+            fs.stat(entry.filepath, function (err, st) {
+                if (err) {
+                    next(err);
+                    return;
+                }
+                writeEntry(st.size);
+            });
+        } else {
+            writeEntry(0);
+        }
+    }
+
+    tstream.on('error', callback);
+    tstream.on('finish', function () {
+        callback();
+    });
+
+    async.eachSeries(entries, addTarEntry, function (err) {
+        if (err) {
+            tstream.destroy();
+            callback(err);
+            return;
+        }
+        // End of archive marker.
+        tstream.end(Buffer.alloc(1024));
+    });
+}
+
+/**
+ * Return the tar entry (see createTarfileSync) for the given (lstat) stats of
+ * the path (relative to dir), or null when it's not a supported type. The
+ * linkname of a symlink entry is filled in by the caller.
+ */
+function getStatTarEntry(dir, relPath, st, mtime) {
+    var entry = {
+        mode: st.mode & parseInt('7777', 8),
+        mtime: (mtime !== null ? mtime
+            : Math.floor(st.mtime.getTime() / 1000)),
+        name: relPath
+    };
+    if (st.isDirectory()) {
+        entry.name += '/';
+        entry.type = 'directory';
+    } else if (st.isSymbolicLink()) {
+        entry.type = 'symlink';
+    } else if (st.isFile()) {
+        entry.filepath = path.join(dir, relPath);
+    } else {
+        // Sockets, fifos and devices are skipped.
+        return null;
+    }
+    return entry;
+}
+
+/**
+ * Return the tar entries (see createTarfileSync) for the contents of the given
+ * directory, in a sorted (and thus consistent) order. Options:
+ *  - exclude: Array, names (relative to dir) to leave out, with their contents.
+ *  - mtime: Number, the mtime to use for all entries (otherwise taken from the
+ *    files).
+ */
+function getDirTarEntriesSync(dir, opts) {
+    var entries = [];
+    var exclude = (opts && opts.exclude) || [];
+    var mtime = (opts && typeof (opts.mtime) === 'number' ? opts.mtime : null);
+
+    function addDirEntries(relDir) {
+        fs.readdirSync(path.join(dir, relDir)).sort().forEach(function (name) {
+            var relPath = (relDir ? relDir + '/' + name : name);
+            var entry;
+
+            if (exclude.indexOf(relPath) >= 0) {
+                return;
+            }
+            entry = getStatTarEntry(dir, relPath,
+                fs.lstatSync(path.join(dir, relPath)), mtime);
+            if (!entry) {
+                return;
+            }
+            entries.push(entry);
+            if (entry.type === 'directory') {
+                addDirEntries(relPath);
+            } else if (entry.type === 'symlink') {
+                entry.linkname = fs.readlinkSync(path.join(dir, relPath));
+            }
+        });
+    }
+
+    addDirEntries('');
+    return entries;
+}
+
+/**
+ * Asynchronous version of getDirTarEntriesSync, calls callback(err, entries).
+ */
+function getDirTarEntries(dir, opts, callback) {
+    var entries = [];
+    var exclude = (opts && opts.exclude) || [];
+    var mtime = (opts && typeof (opts.mtime) === 'number' ? opts.mtime : null);
+
+    function addDirEntries(relDir, cb) {
+        fs.readdir(path.join(dir, relDir), function (err, names) {
+            if (err) {
+                cb(err);
+                return;
+            }
+            async.eachSeries(names.sort(), function (name, next) {
+                var relPath = (relDir ? relDir + '/' + name : name);
+                var filepath = path.join(dir, relPath);
+
+                if (exclude.indexOf(relPath) >= 0) {
+                    next();
+                    return;
+                }
+                fs.lstat(filepath, function (statErr, st) {
+                    var entry = (statErr ? null
+                        : getStatTarEntry(dir, relPath, st, mtime));
+                    if (!entry) {
+                        next(statErr);
+                        return;
+                    }
+                    entries.push(entry);
+                    if (entry.type === 'directory') {
+                        addDirEntries(relPath, next);
+                    } else if (entry.type === 'symlink') {
+                        fs.readlink(filepath, function (linkErr, linkname) {
+                            entry.linkname = linkname;
+                            next(linkErr);
+                        });
+                    } else {
+                        next();
+                    }
+                });
+            }, cb);
+        });
+    }
+
+    addDirEntries('', function (err) {
+        if (err) {
+            callback(err);
+            return;
+        }
+        callback(null, entries);
+    });
+}
+
+/**
+ * Given an absolute target container path, resolves all directory symlinks to
+ * and returns the real container path (i.e. no symlinks). Guarantees that the
+ * resulting path remains underneath the given root directory.
+ */
+function getRealpathFromRootDir(target, outsideRootDir, loopCount) {
+    if (typeof (loopCount) === 'undefined') {
+        loopCount = 0;
+    } else if (loopCount > 20) {
+        // Bail out - too many symlinks.
+        throw new Error('too many symlinks in desination path: ' + target);
+    }
+    var containerPath = '/';
+    var hadTrailingSlash = (target.slice(-1) === '/');
+    var i;
+    var lastContainerPath;
+    var lstat;
+    var outsidePath = outsideRootDir; // full absolute path outside container
+    var rootDirWithSlash = outsideRootDir + '/';
+    var targetSplit = path.normalize(target).split('/');
+
+    if (targetSplit[0] === '') {
+        // Chop first / as that's the root directory.
+        targetSplit = targetSplit.slice(1);
+    }
+    if (targetSplit[targetSplit.length - 1] === '') {
+        // Chop last (and empty) directory - i.e. paths that had trailing slash
+        targetSplit = targetSplit.slice(0, -1);
+    }
+
+    // For every directory inside of the container, check if it's a symlink, and
+    // if it is, then find that symlink path relative to the container root.
+    for (i = 0; i < targetSplit.length; i++) {
+        lastContainerPath = containerPath;
+        containerPath = path.join(containerPath, targetSplit[i]);
+        outsidePath = path.join(outsideRootDir, containerPath);
+
+        // Assert it's not outside of the container root.
+        if ((outsidePath.substr(0, rootDirWithSlash.length)
+            !== rootDirWithSlash)
+            && (outsidePath !== outsideRootDir)) {
+
+            throw new ForbiddenPathException(
+                // Note that there is a deliberate space at the end of this
+                // string, to matched the docker/docker build test cases.
+                util.format('Forbidden path outside the build context: %s ',
+                    target));
+        }
+
+        try {
+            lstat = fs.lstatSync(outsidePath);
+        } catch (e) {
+            if (e.code === 'ENOENT') {
+                // Doesn't exist - that's fine, it will be created later.
+                if ((i+1) < targetSplit.length) {
+                    containerPath = path.join(containerPath,
+                        targetSplit.slice(i+1).join('/'));
+                }
+                break;
+            }
+            throw e;
+        }
+        if (lstat.isSymbolicLink()) {
+            containerPath = fs.readlinkSync(outsidePath);
+            // If it's a relative path - then it's from the last dir (i.e. the
+            // parent of containerPath).
+            if (containerPath[0] !== '/') {
+                // Relative from the current directory.
+                containerPath = path.join(lastContainerPath, containerPath);
+            }
+            // Now go and resolve this new path.
+            containerPath = getRealpathFromRootDir(containerPath,
+                outsideRootDir, loopCount + 1);
+        }
+    }
+
+    if (hadTrailingSlash && containerPath.slice(-1) !== '/') {
+        containerPath += '/';
+    }
+
+    return containerPath;
+}
+
 module.exports = {
+    canonicalJson: canonicalJson,
     containsWildcards: containsWildcards,
+    createTarfile: createTarfile,
+    createTarfileSync: createTarfileSync,
     escapeRegExp: escapeRegExp,
     fileGetSha256: fileGetSha256,
     fileGetSha256Sync: fileGetSha256Sync,
-    objCopy: objCopy
+    ForbiddenPathException: ForbiddenPathException,
+    formatDuration: formatDuration,
+    getDirTarEntries: getDirTarEntries,
+    getDirTarEntriesSync: getDirTarEntriesSync,
+    getRealpathFromRootDir: getRealpathFromRootDir,
+    objCopy: objCopy,
+    parseDuration: parseDuration
 };
@@ -8,12 +8,16 @@
  * Copyright (c) 2017, Joyent, Inc.
  */
 var child_process = require('child_process');
+var crypto = require('crypto');
 var fs = require('fs');
+var http = require('http');
 var os = require('os');
 var path = require('path');
+var url = require('url');
 var util = require('util');
 
 var assert = require('assert-plus');
+var async = require('async');
 var bunyan = require('bunyan');
 var jsprim = require('jsprim');
 var mkdirp = require('mkdirp');
@@ -25,6 +29,10 @@ var tar = require('tar-stream');
 var temp = require('temp').track();
 
 var dockerbuild = require('../lib/build');
+var dockerfile = require('../lib/dockerfile');
+var download = require('../lib/download');
+var git = require('../lib/git');
+var mounts = require('../lib/mounts');
 var utils = require('../lib/utils');
 
 // - Globals
@@ -52,7 +60,14 @@ var gBusyboxImg = {
                 created_by: '/bin/sh -c #(nop)  CMD [\'sh\']',
                 empty_layer: true
             }
-        ]
+        ],
+        rootfs: {
+            type: 'layers',
+            diff_ids: [
+                'sha256:e88b3f82283bc59d5e0df427c824e9f95557e661fcb0ea15fb0fb'
+                    + '6f97760f9d9'
+            ]
+        }
     }
 };
 
@@ -114,14 +129,22 @@ function testBuildContext(t, fpath, opts, callback) {
     fs.mkdirSync(configDir);
 
     var buildOpts = {
+        buildargs: opts.buildargs,
         log: log,
         uuid: uuid,
         commandType: 'build',
         contextFilepath: fpath,
+        dockerfile: opts.dockerfile,
+        imageFormat: opts.imageFormat,
         workDir: configDir,
-        containerRootDir: zoneRoot
+        containerRootDir: zoneRoot,
+        secrets: opts.secrets,
+        snapshotLayers: opts.snapshotLayers,
+        sourceDateEpoch: opts.sourceDateEpoch,
+        target: opts.target
     };
 
+    var extractTasks = [];
     var messages = [];
     var tasks = [];
 
@@ -135,10 +158,17 @@ function testBuildContext(t, fpath, opts, callback) {
         var result = [null];
 
         if (task.type === 'extract_tarfile') {
+            extractTasks.push(task);
             handleExtractTarfile(builder, task, opts.ignoreTarExtractionError);
             return;
         }
 
+        if (task.type === 'export_image') {
+            tasks.push(task);
+            handleExportImage(builder, task);
+            return;
+        }
+
         if (task.type === 'find_cached_image') {
             result = [null, existingImages.filter(function (img) {
                 return task.cmd === img.image.container_config.Cmd.join(' ');
@@ -164,10 +194,18 @@ function testBuildContext(t, fpath, opts, callback) {
             } else {
                 result = [null, gBusyboxImg];
             }
+        } else if (task.type === 'export_layers') {
+            result = [null, fakeLayerDescriptors(builder, task)];
+        } else if (task.type === 'layer_changeset') {
+            result = [null, {diffId: fakeChangesetDiffId(task.changes)}];
         } else if (task.type === 'run') {
             // Hook up the simple run command handler.
             tasks.push(task);
-            simpleRunTaskHandler(builder, task);
+            if (task.mounts) {
+                localMountsRunTaskHandler(builder, task);
+            } else {
+                simpleRunTaskHandler(builder, task);
+            }
             return;
         }
 
@@ -180,6 +218,7 @@ function testBuildContext(t, fpath, opts, callback) {
     builder.on('end', function (err) {
         var result = {
             builder: builder,
+            extractTasks: extractTasks,
             messages: messages,
             tasks: tasks
         };
@@ -189,6 +228,35 @@ function testBuildContext(t, fpath, opts, callback) {
     builder.start();
 }
 
+// Returns a (fake) layer descriptor for each of the export_layers task layers,
+// using the known diff ids of the image (or else of the busybox base image).
+function fakeLayerDescriptors(builder, task) {
+    var descriptors = [];
+    var i;
+    var rootfs = builder.image.rootfs || gBusyboxImg.image.rootfs;
+
+    function sha256(str) {
+        return crypto.createHash('sha256').update(str).digest('hex');
+    }
+
+    for (i = 0; i < task.numLayers; i++) {
+        descriptors.push({
+            diffId: rootfs.diff_ids[i] || 'sha256:' + sha256('diff ' + i),
+            digest: 'sha256:' + sha256('layer ' + i),
+            size: 1000 + i
+        });
+    }
+    return descriptors;
+}
+
+// Returns a (fake) layer diff id for the layer_changeset changes.
+function fakeChangesetDiffId(changes) {
+    return 'sha256:' + crypto.createHash('sha256').update(
+        JSON.stringify(changes.map(function (change) {
+            return [change.type, change.path];
+        }))).digest('hex');
+}
+
 function testEnd(t, builder, hadErr) {
     if (hadErr) {
         t.end();
@@ -205,6 +273,55 @@ function testEnd(t, builder, hadErr) {
     });
 }
 
+/*
+ * Build each of the Dockerfile lines in the table (a map of the line to the
+ * expected error message, or an array of [line, message] pairs) and check that
+ * the build fails with that error. Options:
+ *  - buildOpts: Object, the testBuildContents options.
+ *  - files: Object, additional context files.
+ *  - header: String, prepended to each line, default 'FROM busybox\n'.
+ * Ends the test when done, or calls the optional callback instead.
+ */
+function testBuildErrors(t, table, opts, callback) {
+    var entries = table;
+    var header;
+
+    if (typeof (callback) === 'undefined' && typeof (opts) === 'function') {
+        callback = opts;
+        opts = {};
+    }
+    opts = opts || {};
+    header = (typeof (opts.header) === 'string' ? opts.header
+        : 'FROM busybox\n');
+    if (!Array.isArray(table)) {
+        entries = Object.keys(table).map(function (line) {
+            return [line, table[line]];
+        });
+    }
+
+    async.eachSeries(entries, function (entry, next) {
+        var fileAndContents = jsprim.mergeObjects({
+            'Dockerfile': header + entry[0] + '\n'
+        }, null, opts.files);
+        testBuildContents(t, fileAndContents, opts.buildOpts || {},
+                function (err, result) {
+            if (!err) {
+                t.fail('Expected a build error for: ' + entry[0]);
+            } else {
+                t.ok(String(err).indexOf(entry[1]) >= 0,
+                    'expected error for: ' + entry[0]);
+            }
+            next();
+        });
+    }, function () {
+        if (callback) {
+            callback();
+            return;
+        }
+        t.end();
+    });
+}
+
 function verifyFileContents(t, builder, filepath, contents) {
     var fullpath = path.join(builder.containerRootDir, filepath);
     if (!fs.existsSync(fullpath)) {
@@ -303,28 +420,34 @@ function handleExtractTarfile(builder, event, ignoreTarExtractionError) {
             return;
         }
 
-        var command = util.format('%s -C %s -xf %s',
-            tarExe, extractDir, tarfile);
+        // The args are passed directly (not through a shell), as the paths
+        // can contain spaces.
+        var args = ['-C', extractDir, '-xf', tarfile];
         if (event.hasOwnProperty('stripDirCount')) {
-            command += util.format(' --strip-components=%d',
-                event.stripDirCount);
+            args.push(util.format('--strip-components=%d',
+                event.stripDirCount));
         }
         if (event.hasOwnProperty('replacePattern')) {
-            command += util.format(' -s %s', event.replacePattern);
+            args.push('-s', event.replacePattern);
         }
         if (event.hasOwnProperty('paths')) {
-            command += util.format(' %s', event.paths.join(' '));
+            // An empty path (the whole tarfile) was dropped by the shell.
+            args = args.concat(event.paths.filter(Boolean));
         }
 
-        log.debug('tar extraction command: ', command);
+        log.debug('tar extraction command: %s %s', tarExe, args.join(' '));
 
-        child_process.exec(command, function (error, stdout, stderr) {
+        child_process.execFile(tarExe, args, function (error, stdout, stderr) {
             if (error) {
                 log.error('tar error:', error, ', stderr:', stderr);
                 if (ignoreTarExtractionError) {
                     callback();
                     return;
                 }
+            } else if (event.destPaths) {
+                event.destPaths.forEach(function (destPath) {
+                    setOwnership(path.join('/', destPath), event);
+                });
             }
 
             callback(error);
@@ -332,6 +455,43 @@ function handleExtractTarfile(builder, event, ignoreTarExtractionError) {
     });
 }
 
+// Cheat: the test zone filesystem is not cleared when reprovisioning, so the
+// current container root holds the files of the wanted image (or stage).
+function handleExportImage(builder, event) {
+    var names = fs.readdirSync(builder.containerRootDir);
+    var command = util.format('%s -C %s -cf %s %s', tarExe,
+        builder.containerRootDir, event.tarfile, names.join(' '));
+
+    builder.log.debug('tar export command: ', command);
+
+    child_process.exec(command, function (error, stdout, stderr) {
+        if (error) {
+            builder.log.error('tar error:', error, ', stderr:', stderr);
+        }
+        event.callback(error);
+    });
+}
+
+// Recursively set the extract event uid, gid, mode and mtime on the given
+// path.
+function setOwnership(fullpath, event) {
+    var stat = fs.lstatSync(fullpath);
+    if (event.hasOwnProperty('uid')) {
+        fs.lchownSync(fullpath, event.uid, event.gid);
+    }
+    if (event.hasOwnProperty('mode') && !stat.isSymbolicLink()) {
+        fs.chmodSync(fullpath, event.mode);
+    }
+    if (stat.isDirectory()) {
+        fs.readdirSync(fullpath).forEach(function (name) {
+            setOwnership(path.join(fullpath, name), event);
+        });
+    }
+    if (event.hasOwnProperty('mtime') && !stat.isSymbolicLink()) {
+        fs.utimesSync(fullpath, event.mtime, event.mtime);
+    }
+}
+
 function createTarStream(fileAndContents) {
     var pack = tar.pack();
 
@@ -374,6 +534,27 @@ function convertEnvArrayToObject(envArray) {
     return result;
 }
 
+// Run the task with the RUN mounts attached using the stand-in implementation.
+function localMountsRunTaskHandler(builder, task) {
+    var callback = task.callback;
+
+    mounts.attachLocalMounts(builder.containerRootDir, task.mounts,
+            function (err, detach) {
+        if (err) {
+            callback.call(builder, err);
+            return;
+        }
+        var runTask = jsprim.mergeObjects(task, {
+            callback: function (runErr, result) {
+                detach(function (detachErr) {
+                    callback.call(builder, runErr || detachErr, result);
+                });
+            }
+        });
+        simpleRunTaskHandler(builder, runTask);
+    });
+}
+
 function simpleRunTaskHandler(builder, task) {
     var callback = task.callback;
     var exitCode = 0;
@@ -1364,30 +1545,460 @@ tape('partialcaching', function (t) {
 });
 
 
-// tape('addRemote', function (t) {
-//    var contextFilepath = path.join(testContextDir, t.name + '.tar');
-//
-//    testBuildContext(t, contextFilepath, function (err, result) {
-//        if (showError(t, err, result.builder)) {
-//            return;
-//        }
-//
-//        var builder = result.builder;
-//        var messages = result.messages;
-//        var expectedMessages = [
-//            { type: 'stdout', message: 'Step 1 : FROM scratch\n' },
-//            { type: 'stdout', message: ' --->\n' },
-//            { type: 'stdout', message: 'Step 2 : ADD https://raw.github'
-//                  + 'usercontent.com/joyent/sdc-docker/master/bin/'
-//                  + 'sdc-dockeradm /\n' },
-//            { type: 'stdout', message: util.format('Successfully built %s\n',
-//                                                    builder.getShortId()) }
-//        ];
-//        t.deepEqual(messages, expectedMessages, 'check message events');
-//
-//        testEnd(t, builder);
-//    });
-// });
+// Start a local http server, with the given request handler.
+function startHttpServer(handler, callback) {
+    var server = http.createServer(handler);
+    server.listen(0, '127.0.0.1', function () {
+        var baseUrl = util.format('http://127.0.0.1:%d',
+            server.address().port);
+        callback(server, baseUrl);
+    });
+}
+
+function remoteFilesHandler(req, res) {
+    if (req.url === '/files/hello.txt') {
+        res.writeHead(200, {
+            'Content-Length': 13,
+            'Last-Modified': 'Wed, 21 Oct 2015 07:28:00 GMT'
+        });
+        res.end('hello remote\n');
+    } else if (req.url === '/redirect') {
+        res.writeHead(302, { Location: '/files/hello.txt' });
+        res.end();
+    } else {
+        res.writeHead(404);
+        res.end();
+    }
+}
+
+
+tape('addRemote', function (t) {
+    startHttpServer(remoteFilesHandler, function (server, baseUrl) {
+        var fileAndContents = {
+            'Dockerfile': [
+                'FROM busybox',
+                util.format('ADD %s/files/hello.txt /remote/', baseUrl),
+                util.format('ADD %s/redirect /remote/renamed.txt', baseUrl)
+            ].join('\n')
+        };
+
+        testBuildContents(t, fileAndContents, function (err, result) {
+            server.close();
+            var builder = result.builder;
+            if (showError(t, err, builder)) {
+                return;
+            }
+
+            var filepath = path.join(builder.containerRootDir,
+                'remote/hello.txt');
+            t.equal(fs.readFileSync(filepath).toString(), 'hello remote\n',
+                'downloaded file contents');
+            var stat = fs.statSync(filepath);
+            t.equal(stat.mode & parseInt('0777', 8), parseInt('0600', 8),
+                'downloaded file mode');
+            t.equal(stat.mtime.getTime(),
+                Date.parse('Wed, 21 Oct 2015 07:28:00 GMT'),
+                'mtime from the Last-Modified header');
+            t.equal(fs.readFileSync(path.join(builder.containerRootDir,
+                'remote/renamed.txt')).toString(), 'hello remote\n',
+                'redirected download');
+
+            var progress = util.format('Downloading %s/files/hello.txt: '
+                + '100%% (13/13 bytes)\n', baseUrl);
+            t.ok(result.messages.some(function (event) {
+                return event.message === progress;
+            }), 'download progress message');
+
+            var digest = crypto.createHash('sha256')
+                .update('hello remote\n').digest('hex');
+            var addCmd = builder.layers[builder.layers.length - 2]
+                .image.container_config.Cmd;
+            t.equal(addCmd[2], '#(nop) ADD url:' + digest + ' in /remote/',
+                'content hash is the cache key');
+
+            testEnd(t, builder);
+        });
+    });
+});
+
+
+tape('addRemote proxy', function (t) {
+    var proxiedUrls = [];
+
+    function proxyHandler(req, res) {
+        proxiedUrls.push(req.url);
+        res.writeHead(200);
+        res.end('via proxy\n');
+    }
+
+    startHttpServer(proxyHandler, function (server, proxyUrl) {
+        var fileAndContents = {
+            'Dockerfile': [
+                'FROM busybox',
+                'ADD http://remote.example.com/proxied.txt /proxied.txt'
+            ].join('\n')
+        };
+        var opts = {
+            buildargs: JSON.stringify({
+                HTTP_PROXY: proxyUrl,
+                NO_PROXY: 'localhost'
+            })
+        };
+
+        testBuildContents(t, fileAndContents, opts, function (err, result) {
+            server.close();
+            var builder = result.builder;
+            if (showError(t, err, builder)) {
+                return;
+            }
+
+            t.deepEqual(proxiedUrls, ['http://remote.example.com/proxied.txt'],
+                'request went through the proxy');
+            t.equal(fs.readFileSync(path.join(builder.containerRootDir,
+                'proxied.txt')).toString(), 'via proxy\n', 'proxied download');
+            t.equal(download.getProxyUrl(url.parse('http://localhost/x'),
+                builder.getProxySettings()), null, 'no proxy for localhost');
+
+            testEnd(t, builder);
+        });
+    });
+});
+
+
+tape('download timeouts', function (t) {
+    function stallingHandler(req, res) {
+        if (req.url === '/partial') {
+            // Send the headers and part of the content, then stall.
+            res.writeHead(200, { 'Content-Length': 100 });
+            res.write('partial');
+        }
+    }
+
+    startHttpServer(stallingHandler, function (server, baseUrl) {
+        // A proxy that never answers the CONNECT request.
+        server.on('connect', function () {});
+
+        var downloads = [
+            [baseUrl + '/stall', {}],
+            [baseUrl + '/partial', {}],
+            ['http://remote.example.com/stall', { http: baseUrl }],
+            ['https://remote.example.com/stall', { https: baseUrl }]
+        ];
+
+        async.eachSeries(downloads, function (entry, next) {
+            var filepath = path.join(temp.mkdirSync('download'), 'file');
+            download.download({
+                filepath: filepath,
+                proxies: entry[1],
+                timeout: 200,
+                url: entry[0]
+            }, function (err) {
+                t.ok(err && err.message.indexOf(util.format(
+                    'failed to GET %s: timed out after 200 ms', entry[0]))
+                    === 0, 'timeout error for ' + entry[0]);
+                t.notOk(fs.existsSync(filepath),
+                    'no partial file for ' + entry[0]);
+                next();
+            });
+        }, function () {
+            server.close();
+            t.end();
+        });
+    });
+});
+
+
+tape('addRemote checksum', function (t) {
+    var digest = crypto.createHash('sha256').update('hello remote\n')
+        .digest('hex');
+    var requestedUrls = [];
+
+    function handler(req, res) {
+        requestedUrls.push(req.url);
+        remoteFilesHandler(req, res);
+    }
+
+    startHttpServer(handler, function (server, baseUrl) {
+        var addNopCmd = ['/bin/sh', '-c',
+            '#(nop) ADD url:' + digest + ' in /remote/'];
+
+        function testVerified(next) {
+            var fileAndContents = {
+                'Dockerfile': [
+                    'FROM busybox',
+                    util.format('ADD --checksum=sha256:%s %s/files/hello.txt '
+                        + '/remote/', digest.toUpperCase(), baseUrl)
+                ].join('\n')
+            };
+            testBuildContents(t, fileAndContents, function (err, result) {
+                var builder = result.builder;
+                if (showError(t, err, builder)) {
+                    return;
+                }
+                t.equal(fs.readFileSync(path.join(builder.containerRootDir,
+                    'remote/hello.txt')).toString(), 'hello remote\n',
+                    'verified download');
+                t.deepEqual(builder.layers[builder.layers.length - 1]
+                    .image.container_config.Cmd, addNopCmd,
+                    'checksum is the cache key');
+                next();
+            });
+        }
+
+        function testMismatch(next) {
+            var badDigest = new Array(65).join('0');
+            var fileAndContents = {
+                'Dockerfile': [
+                    'FROM busybox',
+                    util.format('ADD --checksum=sha256:%s %s/files/hello.txt '
+                        + '/remote/', badDigest, baseUrl)
+                ].join('\n')
+            };
+            testBuildContents(t, fileAndContents, function (err, result) {
+                t.ok(String(err).indexOf(util.format('checksum mismatch for '
+                    + '%s/files/hello.txt: expected sha256:%s, got sha256:%s',
+                    baseUrl, badDigest, digest)) >= 0, 'checksum mismatch');
+                t.notOk(fs.existsSync(path.join(
+                    result.builder.containerRootDir, 'remote/hello.txt')),
+                    'nothing copied into the container');
+                next();
+            });
+        }
+
+        function testCached(next) {
+            var config = jsprim.deepCopy(gBusyboxImg.image.config);
+            var containerConfig = jsprim.deepCopy(config);
+            containerConfig.Cmd = addNopCmd;
+
+            var fileAndContents = {
+                'Dockerfile': [
+                    'FROM busybox',
+                    util.format('ADD --checksum=sha256:%s %s/files/gone.txt '
+                        + '/remote/', digest, baseUrl)
+                ].join('\n')
+            };
+            var opts = {
+                existingImages: [ {
+                    config_digest: 'sha256:' + digest,
+                    image: {
+                        config: config,
+                        container_config: containerConfig,
+                        history: gBusyboxImg.image.history.concat([ {
+                            created: '2017-01-01T00:00:00Z',
+                            created_by: addNopCmd.join(' ')
+                        } ])
+                    }
+                } ]
+            };
+            requestedUrls = [];
+            testBuildContents(t, fileAndContents, opts,
+                    function (err, result) {
+                if (showError(t, err, result.builder)) {
+                    return;
+                }
+                t.ok(result.messages.some(function (event) {
+                    return event.message === ' ---> Using cache\n';
+                }), 'step was cached');
+                t.deepEqual(requestedUrls, [], 'nothing was downloaded');
+                next();
+            });
+        }
+
+        async.series([
+            testVerified,
+            testMismatch,
+            testCached
+        ], function () {
+            server.close();
+            t.end();
+        });
+    });
+});
+
+
+tape('addRemote errors', function (t) {
+    startHttpServer(remoteFilesHandler, function (server, baseUrl) {
+        var dockerfiles = {};
+        dockerfiles[util.format('ADD %s/missing /', baseUrl)] =
+            util.format('failed to GET %s/missing with status 404', baseUrl);
+        dockerfiles[util.format('ADD %s/ /dir/', baseUrl)] =
+            'cannot determine filename from url';
+        dockerfiles[util.format('COPY %s/files/hello.txt /', baseUrl)] =
+            'Source can\'t be a URL for COPY';
+        dockerfiles[util.format('ADD --checksum=md5:1234 %s/files/hello.txt /',
+            baseUrl)] = 'Invalid checksum value: md5:1234';
+        dockerfiles['ADD --checksum=sha256:' + new Array(65).join('a')
+            + ' file.txt /'] = 'ADD --checksum requires a single http(s) url';
+        dockerfiles[util.format('COPY --checksum=sha256:%s %s/hello.txt /',
+            new Array(65).join('a'), baseUrl)] = 'Unknown flag: checksum';
+
+        testBuildErrors(t, dockerfiles, function () {
+            server.close();
+            t.end();
+        });
+    });
+});
+
+
+// Create a bare git repository (served over the dumb http protocol by
+// startHttpServer), with a 'v1' tag for the first commit and a 'dev' branch.
+function createGitRepo() {
+    var tmpDir = temp.mkdirSync('git-repo');
+    var workDir = path.join(tmpDir, 'work');
+    var bareDir = path.join(tmpDir, 'repo.git');
+
+    function gitCmd(cmd, cwd) {
+        return child_process.execSync('git -c user.name=test '
+            + '-c user.email=test@example.com ' + cmd,
+            { cwd: cwd || workDir }).toString().trim();
+    }
+
+    fs.mkdirSync(workDir);
+    gitCmd('init -q .');
+    fs.mkdirSync(path.join(workDir, 'docs'));
+    fs.writeFileSync(path.join(workDir, 'README.md'), 'readme\n');
+    fs.writeFileSync(path.join(workDir, 'docs/guide.txt'), 'guide v1\n');
+    fs.symlinkSync('README.md', path.join(workDir, 'link'));
+    fs.writeFileSync(path.join(workDir, 'caf\u00e9.txt'), 'caf\u00e9\n');
+    // Longer than the 100 byte ustar linkname field.
+    fs.symlinkSync('docs/' + new Array(121).join('x'),
+        path.join(workDir, 'longlink'));
+    gitCmd('add -A');
+    gitCmd('commit -q -m first');
+    gitCmd('tag v1');
+    var masterCommit = gitCmd('rev-parse HEAD');
+    gitCmd('checkout -q -b dev');
+    fs.writeFileSync(path.join(workDir, 'docs/guide.txt'), 'guide dev\n');
+    gitCmd('commit -q -a -m second');
+    gitCmd('checkout -q ' + masterCommit);
+    gitCmd('branch -q -f master ' + masterCommit);
+    gitCmd('checkout -q master');
+    gitCmd('clone -q --bare . ' + bareDir);
+    gitCmd('update-server-info', bareDir);
+
+    return { dir: tmpDir, masterCommit: masterCommit };
+}
+
+function staticFilesHandler(dir) {
+    return function (req, res) {
+        var filepath = path.join(dir, url.parse(req.url).pathname);
+        fs.readFile(filepath, function (err, data) {
+            if (err) {
+                res.writeHead(404);
+                res.end();
+                return;
+            }
+            res.writeHead(200);
+            res.end(data);
+        });
+    };
+}
+
+
+tape('addGit', function (t) {
+    var repo = createGitRepo();
+
+    startHttpServer(staticFilesHandler(repo.dir), function (server, baseUrl) {
+        var fileAndContents = {
+            'Dockerfile': [
+                'FROM busybox',
+                util.format('ADD %s/repo.git /src/', baseUrl),
+                util.format('ADD %s/repo.git#dev:docs /docs/', baseUrl),
+                util.format('ADD --keep-git-dir %s/repo.git#v1 /kept/',
+                    baseUrl)
+            ].join('\n')
+        };
+
+        testBuildContents(t, fileAndContents, function (err, result) {
+            server.close();
+            var builder = result.builder;
+            if (showError(t, err, builder)) {
+                return;
+            }
+
+            var rootDir = builder.containerRootDir;
+            t.equal(fs.readFileSync(path.join(rootDir, 'src/README.md'))
+                .toString(), 'readme\n', 'cloned file contents');
+            t.equal(fs.readFileSync(path.join(rootDir, 'src/docs/guide.txt'))
+                .toString(), 'guide v1\n', 'default branch checked out');
+            t.equal(fs.readlinkSync(path.join(rootDir, 'src/link')),
+                'README.md', 'symlink is kept');
+            t.equal(fs.readFileSync(path.join(rootDir, 'src/caf\u00e9.txt'))
+                .toString(), 'caf\u00e9\n', 'non-ascii file name');
+            t.equal(fs.readlinkSync(path.join(rootDir, 'src/longlink')),
+                'docs/' + new Array(121).join('x'), 'long symlink target');
+            t.notOk(fs.existsSync(path.join(rootDir, 'src/.git')),
+                'no .git directory by default');
+            t.equal(fs.readFileSync(path.join(rootDir, 'docs/guide.txt'))
+                .toString(), 'guide dev\n', 'branch subdirectory');
+            t.notOk(fs.existsSync(path.join(rootDir, 'docs/README.md')),
+                'only the subdirectory is copied');
+            t.ok(fs.statSync(path.join(rootDir, 'kept/.git')).isDirectory(),
+                '.git directory is kept');
+
+            t.ok(result.messages.some(function (event) {
+                return event.message === util.format(
+                    'Checked out commit %s\n', repo.masterCommit);
+            }), 'commit message');
+            var addCmd = builder.layers[builder.layers.length - 3]
+                .image.container_config.Cmd;
+            t.equal(addCmd[2], util.format('#(nop) ADD git:%s in /src/',
+                repo.masterCommit), 'commit is the cache key');
+
+            testEnd(t, builder);
+        });
+    });
+});
+
+
+tape('addGit errors', function (t) {
+    var repo = createGitRepo();
+
+    startHttpServer(staticFilesHandler(repo.dir), function (server, baseUrl) {
+        var dockerfiles = {};
+        dockerfiles[util.format('ADD %s/repo.git#nope /src/', baseUrl)] =
+            util.format('git ref nope not found in repository %s/repo.git',
+                baseUrl);
+        dockerfiles[util.format('ADD %s/repo.git#:nope /src/', baseUrl)] =
+            util.format('directory nope not found in git repository '
+                + '%s/repo.git', baseUrl);
+        dockerfiles[util.format('ADD %s/missing.git /src/', baseUrl)] =
+            util.format('failed to clone git repository %s/missing.git',
+                baseUrl);
+        dockerfiles[util.format('COPY %s/repo.git /src/', baseUrl)] =
+            'Source can\'t be a URL for COPY';
+        dockerfiles['ADD --keep-git-dir file.txt /'] =
+            'ADD --keep-git-dir requires a single git repository source';
+        dockerfiles[util.format('ADD --keep-git-dir=yes %s/repo.git /src/',
+            baseUrl)] = 'Invalid keep-git-dir value: yes';
+        dockerfiles['ADD ext::sh.git /src/'] = 'unsupported url protocol ext:';
+
+        testBuildErrors(t, dockerfiles, {
+            files: { 'file.txt': 'file' }
+        }, function () {
+            server.close();
+            t.end();
+        });
+    });
+});
+
+
+tape('addGit timeout', function (t) {
+    // A server that never responds.
+    startHttpServer(function () {}, function (server, baseUrl) {
+        git.clone({
+            dir: path.join(temp.mkdirSync('git-clone'), 'repo'),
+            remote: baseUrl + '/repo.git',
+            timeout: 500
+        }, function (err) {
+            t.ok(err && err.message.indexOf(util.format(
+                'failed to clone git repository %s/repo.git: timed out after '
+                + '500 ms', baseUrl)) === 0, 'clone timeout error');
+            server.close();
+            t.end();
+        });
+    });
+});
 
 
 tape('symlinks', function (t) {
@@ -1505,6 +2116,1573 @@ tape('FROM must be first', function (t) {
 });
 
 
+tape('global args', function (t) {
+    var fileAndContents = {
+        'Dockerfile': [
+            'ARG BASE=busybox',
+            'ARG VERSION=1.0',
+            'ARG STAGE=${BASE}-stage',
+            'FROM ${BASE} AS ${STAGE}',
+            'ARG VERSION',
+            'LABEL version=$VERSION base=x$BASE'
+        ].join('\n')
+    };
+    var opts = {
+        buildargs: JSON.stringify({VERSION: '2.0'})
+    };
+
+    testBuildContents(t, fileAndContents, opts, function (err, result) {
+        var builder = result.builder;
+        if (showError(t, err, builder)) {
+            return;
+        }
+
+        var stepMessages = result.messages.map(function (event) {
+            return event.message;
+        }).filter(function (message) {
+            return message.substr(0, 5) === 'Step ';
+        });
+        t.deepEqual(stepMessages, [
+            'Step 1/6 : ARG BASE=busybox\n',
+            'Step 2/6 : ARG VERSION=1.0\n',
+            'Step 3/6 : ARG STAGE=${BASE}-stage\n',
+            'Step 4/6 : FROM ${BASE} AS ${STAGE}\n',
+            'Step 5/6 : ARG VERSION\n',
+            'Step 6/6 : LABEL version=$VERSION base=x$BASE\n'
+        ], 'step messages');
+
+        var reprovisionTasks = result.tasks.filter(function (task) {
+            return task.type === 'image_reprovision';
+        });
+        t.equal(reprovisionTasks[0].imageName, 'busybox', 'FROM image');
+        t.equal(builder.stageName, 'busybox-stage', 'stage name');
+        t.deepEqual(builder.image.config.Labels,
+            {version: '2.0', base: 'x'}, 'labels');
+
+        testEnd(t, builder);
+    });
+});
+
+
+tape('global args errors', function (t) {
+    var dockerfiles = [
+        ['ARG A\nFROM busybox', 'One or more build-args [B] were not '
+            + 'consumed'],
+        ['ARG A\nFROM ${NOPE}', 'base name (${NOPE}) should not be blank'],
+        ['ARG A\nLABEL a=b\nFROM busybox', 'Please provide a source '
+            + 'image with `from` prior to commit']
+    ];
+
+    testBuildErrors(t, dockerfiles, {
+        buildOpts: { buildargs: JSON.stringify({A: '1', B: '2'}) },
+        header: ''
+    });
+});
+
+
+tape('multi-stage build', function (t) {
+    var fileAndContents = {
+        'Dockerfile': [
+            'FROM scratch AS build',
+            'COPY file.txt /out/',
+            'ENV STAGE=build',
+            'FROM busybox',
+            'COPY --from=build /out/file.txt /app/',
+            'COPY --from=0 /out /app2'
+        ].join('\n'),
+        'file.txt': 'hello'
+    };
+
+    testBuildContents(t, fileAndContents, function (err, result) {
+        var builder = result.builder;
+        if (showError(t, err, builder)) {
+            return;
+        }
+
+        t.equal(builder.stages.length, 1, 'one completed stage');
+        t.equal(builder.stages[0].name, 'build', 'stage name');
+        t.equal(builder.stageIndex, 1, 'final stage index');
+        t.deepEqual(builder.image.config.Cmd, ['sh'],
+            'final image is the busybox stage');
+        t.equal(builder.image.config.Env, undefined,
+            'stage env is not inherited');
+
+        var exportTasks = result.tasks.filter(function (task) {
+            return task.type === 'export_image';
+        });
+        t.equal(exportTasks.length, 1, 'stage exported only once');
+        t.equal(exportTasks[0].imageName, builder.stages[0].imageDigest,
+            'export the build stage image');
+
+        verifyFileContents(t, builder, '/app/file.txt', 'hello');
+        verifyFileContents(t, builder, '/app2/file.txt', 'hello');
+
+        testEnd(t, builder);
+    });
+});
+
+
+tape('multi-stage build errors', function (t) {
+    var dockerfiles = {
+        'COPY --from=self /a /b': 'refers to current or later build stage',
+        'COPY --from=3 /a /b': 'refers to current or later build stage',
+        'ADD --from=0 /a /b': 'Unknown flag: from',
+        'FROM busybox AS 1stage': 'invalid name for build stage'
+    };
+
+    testBuildErrors(t, dockerfiles, { header: 'FROM scratch AS self\n' });
+});
+
+
+tape('multi-stage build target', function (t) {
+    var fileAndContents = {
+        'Dockerfile': [
+            'FROM scratch AS base',
+            'COPY file.txt /base/',
+            'FROM scratch AS unused',
+            'COPY file.txt /unused/',
+            'FROM busybox AS test',
+            'COPY --from=base /base/file.txt /test/',
+            'LABEL stage=test',
+            'FROM busybox AS release',
+            'LABEL stage=release'
+        ].join('\n'),
+        'file.txt': 'hello'
+    };
+    var buildOpts = {
+        target: 'test'
+    };
+
+    testBuildContents(t, fileAndContents, buildOpts, function (err, result) {
+        var builder = result.builder;
+        if (showError(t, err, builder)) {
+            return;
+        }
+
+        t.equal(builder.totalNumSteps, 5, 'only needed steps are counted');
+        t.equal(builder.stageName, 'test', 'stopped at the target stage');
+        t.deepEqual(builder.stages.map(function (stage) {
+            return [stage.name, stage.skipped];
+        }), [['base', false], ['unused', true]], 'check skipped stages');
+        t.deepEqual(builder.image.config.Labels, { stage: 'test' },
+            'target stage image is the final image');
+        t.ok(!fs.existsSync(path.join(builder.containerRootDir, 'unused')),
+            'unused stage was not run');
+        verifyFileContents(t, builder, '/test/file.txt', 'hello');
+
+        var messages = result.messages.filter(function (event) {
+            return event.message.substr(0, 5) === 'Step ';
+        }).map(function (event) {
+            return event.message;
+        });
+        t.deepEqual(messages, [
+            'Step 1/5 : FROM scratch AS base\n',
+            'Step 2/5 : COPY file.txt /base/\n',
+            'Step 3/5 : FROM busybox AS test\n',
+            'Step 4/5 : COPY --from=base /base/file.txt /test/\n',
+            'Step 5/5 : LABEL stage=test\n'
+        ], 'check step messages');
+
+        testEnd(t, builder);
+    });
+});
+
+
+tape('multi-stage build missing target', function (t) {
+    var fileAndContents = {
+        'Dockerfile': 'FROM busybox AS test\nLABEL stage=test\n'
+    };
+    var buildOpts = {
+        target: 'release'
+    };
+
+    testBuildContents(t, fileAndContents, buildOpts, function (err, result) {
+        var expectedErr = 'failed to reach build target release in Dockerfile';
+        if (!err) {
+            t.fail('Expected a build error');
+        } else {
+            t.ok(String(err).indexOf(expectedErr) >= 0, 'target error');
+        }
+        testEnd(t, result.builder);
+    });
+});
+
+
+tape('healthcheck', function (t) {
+    var fileAndContents = {
+        'Dockerfile': [
+            'FROM busybox',
+            'HEALTHCHECK --interval=5s --retries=3 CMD curl -f http://x/',
+            'HEALTHCHECK --timeout=1m30s --start-period=500ms '
+                + 'CMD ["check", "--quiet"]'
+        ].join('\n')
+    };
+
+    testBuildContents(t, fileAndContents, function (err, result) {
+        var builder = result.builder;
+        if (showError(t, err, builder)) {
+            return;
+        }
+
+        var layers = builder.layers.slice(-2);
+        t.deepEqual(layers[0].image.config.Healthcheck, {
+            Test: ['CMD-SHELL', 'curl -f http://x/'],
+            Interval: 5 * 1e9,
+            Retries: 3
+        }, 'shell form healthcheck');
+        t.deepEqual(layers[0].image.container_config.Cmd, ['/bin/sh', '-c',
+            '#(nop) HEALTHCHECK &{["CMD-SHELL" "curl -f http://x/"] "5s" '
+            + '"0s" "0s" \'\\x03\'}'], 'shell form nop cmd');
+
+        t.deepEqual(builder.image.config.Healthcheck, {
+            Test: ['CMD', 'check', '--quiet'],
+            Timeout: 90 * 1e9,
+            StartPeriod: 500 * 1e6
+        }, 'exec form healthcheck');
+        t.deepEqual(builder.image.container_config.Cmd, ['/bin/sh', '-c',
+            '#(nop) HEALTHCHECK &{["CMD" "check" "--quiet"] "0s" "1m30s" '
+            + '"500ms" \'\\x00\'}'], 'exec form nop cmd');
+
+        testEnd(t, builder);
+    });
+});
+
+
+tape('healthcheck none', function (t) {
+    var fileAndContents = {
+        'Dockerfile': [
+            'FROM busybox',
+            'HEALTHCHECK NONE'
+        ].join('\n')
+    };
+
+    testBuildContents(t, fileAndContents, function (err, result) {
+        var builder = result.builder;
+        if (showError(t, err, builder)) {
+            return;
+        }
+        t.deepEqual(builder.image.config.Healthcheck, { Test: ['NONE'] });
+        testEnd(t, builder);
+    });
+});
+
+
+tape('healthcheck errors', function (t) {
+    var dockerfiles = {
+        'HEALTHCHECK NONE --interval=5s': 'HEALTHCHECK NONE takes no arguments',
+        'HEALTHCHECK RUN foo': 'Unknown type "RUN" in HEALTHCHECK',
+        'HEALTHCHECK CMD': 'Missing command after HEALTHCHECK CMD',
+        'HEALTHCHECK --interval=5 CMD ls': 'invalid duration "5"',
+        'HEALTHCHECK --interval=1ns CMD ls': 'cannot be less than 1ms',
+        'HEALTHCHECK --retries=x CMD ls': 'Invalid value for retries: x',
+        'HEALTHCHECK --foo=1 CMD ls': 'Unknown flag: foo'
+    };
+
+    testBuildErrors(t, dockerfiles);
+});
+
+
+tape('shell', function (t) {
+    var fileAndContents = {
+        'Dockerfile': [
+            'FROM busybox',
+            'SHELL ["/bin/bash", "-o", "pipefail", "-c"]',
+            'RUN echo hi | grep hi',
+            'ENV a=b',
+            'CMD run-me'
+        ].join('\n')
+    };
+    var bash = ['/bin/bash', '-o', 'pipefail', '-c'];
+
+    testBuildContents(t, fileAndContents, function (err, result) {
+        var builder = result.builder;
+        if (showError(t, err, builder)) {
+            return;
+        }
+
+        var runTasks = result.tasks.filter(function (task) {
+            return task.type === 'run';
+        });
+        t.deepEqual(runTasks[0].cmd, bash.concat(['echo hi | grep hi']),
+            'run uses the shell');
+        t.deepEqual(builder.image.config.Shell, bash, 'config shell');
+        t.deepEqual(builder.image.config.Cmd, bash.concat(['run-me']),
+            'cmd uses the shell');
+
+        var layers = builder.layers.slice(-4);
+        t.deepEqual(layers[0].image.container_config.Cmd,
+            bash.concat(['#(nop) SHELL [/bin/bash -o pipefail -c]']),
+            'shell nop cmd');
+        t.deepEqual(layers[2].image.container_config.Cmd,
+            bash.concat(['#(nop) ENV a=b']), 'env nop cmd');
+
+        testEnd(t, builder);
+    });
+});
+
+
+tape('shell must be json', function (t) {
+    var fileAndContents = {
+        'Dockerfile': 'FROM busybox\nSHELL /bin/bash -c\n'
+    };
+
+    testBuildContents(t, fileAndContents, function (err, result) {
+        var expectedErr = 'SHELL requires the arguments to be in JSON form';
+        if (!err) {
+            t.fail('Expected a build error');
+        } else {
+            t.ok(String(err).indexOf(expectedErr) >= 0, 'shell json error');
+        }
+        testEnd(t, result.builder);
+    });
+});
+
+
+tape('copy chown and chmod', function (t) {
+    var fileAndContents = {
+        'Dockerfile': [
+            'FROM busybox',
+            'COPY passwd group /etc/',
+            'COPY --chown=app:staff --chmod=0750 file.txt /app/',
+            'ADD --chown=1234 dir /data/'
+        ].join('\n'),
+        'passwd': 'root:x:0:0:root:/root:/bin/sh\napp:x:1000:1000::/app:\n',
+        'group': 'root:x:0:\nstaff:x:50:app\n',
+        'file.txt': 'hello',
+        'dir/sub/file.txt': 'hi'
+    };
+
+    testBuildContents(t, fileAndContents, function (err, result) {
+        var builder = result.builder;
+        if (showError(t, err, builder)) {
+            return;
+        }
+
+        var extractTasks = result.extractTasks.filter(function (task) {
+            return task.destPaths;
+        });
+        t.equal(extractTasks.length, 4, 'four extract tasks');
+        t.equal(extractTasks[0].uid, undefined, 'no uid without chown');
+        t.equal(extractTasks[2].uid, 1000, 'chown uid');
+        t.equal(extractTasks[2].gid, 50, 'chown gid');
+        t.equal(extractTasks[2].mode, parseInt('0750', 8), 'chmod mode');
+        t.equal(extractTasks[3].uid, 1234, 'numeric chown uid');
+        t.equal(extractTasks[3].gid, 1234, 'gid is the same as the uid');
+
+        if (process.getuid() === 0) {
+            var stat = fs.statSync(path.join(builder.containerRootDir,
+                'app/file.txt'));
+            t.equal(stat.uid, 1000, 'file uid');
+            t.equal(stat.gid, 50, 'file gid');
+            t.equal(stat.mode & parseInt('0777', 8), parseInt('0750', 8),
+                'file mode');
+            stat = fs.statSync(path.join(builder.containerRootDir,
+                'data/sub/file.txt'));
+            t.equal(stat.uid, 1234, 'nested file uid');
+        }
+
+        // The chown and chmod flags must be part of the cache key.
+        var copyCmd = builder.layers[builder.layers.length - 2].image
+            .container_config.Cmd;
+        var plainHash = 'file:' + utils.fileGetSha256Sync(path.join(
+            builder.contextExtractDir, 'file.txt'));
+        t.ok(copyCmd[2].indexOf('#(nop) COPY file:') === 0,
+            'copy nop cmd: ' + copyCmd[2]);
+        t.equal(copyCmd[2].indexOf(plainHash), -1,
+            'chown changes the copy hash');
+
+        testEnd(t, builder);
+    });
+});
+
+
+tape('copy chown errors', function (t) {
+    var dockerfiles = {
+        'COPY --chown=nobody file.txt /': 'unable to find user nobody',
+        'COPY --chown=0:wheel file.txt /': 'unable to find group wheel',
+        'COPY --chmod=rwx file.txt /': 'Invalid chmod value: rwx',
+        'COPY --chown=a:b:c file.txt /': 'Invalid chown value: a:b:c'
+    };
+
+    testBuildErrors(t, dockerfiles, { files: { 'file.txt': 'hello' } });
+});
+
+
+tape('heredoc run', function (t) {
+    var fileAndContents = {
+        'Dockerfile': [
+            'FROM busybox',
+            'RUN <<EOF',
+            'echo hello',
+            'echo world',
+            'EOF',
+            'RUN <<-EOF1 cat > /a && <<\'EOF2\' cat > /b',
+            '\tfirst $HOME',
+            '\tEOF1',
+            'second $HOME',
+            'EOF2',
+            'RUN <<EOF',
+            '#!/usr/bin/env python',
+            'print("hi")',
+            'EOF',
+            'LABEL after=heredocs'
+        ].join('\n')
+    };
+    var sh = ['/bin/sh', '-c'];
+
+    testBuildContents(t, fileAndContents, function (err, result) {
+        var builder = result.builder;
+        if (showError(t, err, builder)) {
+            return;
+        }
+
+        var runTasks = result.tasks.filter(function (task) {
+            return task.type === 'run';
+        });
+        t.equal(runTasks.length, 3, 'three run tasks');
+        t.deepEqual(runTasks[0].cmd, sh.concat(['echo hello\necho world\n']),
+            'heredoc content is the script');
+        t.deepEqual(runTasks[1].cmd, sh.concat([
+            '<<-EOF1 cat > /a && <<\'EOF2\' cat > /b\n'
+            + '\tfirst $HOME\n\tEOF1\nsecond $HOME\nEOF2']),
+            'heredocs are passed to the shell');
+        t.deepEqual(runTasks[2].cmd, sh.concat([
+            '/usr/bin/env python <<\'EOF\'\n'
+            + '#!/usr/bin/env python\nprint("hi")\nEOF']),
+            'heredoc script uses the interpreter');
+        t.deepEqual(builder.image.config.Labels, {after: 'heredocs'},
+            'instruction after the heredocs');
+        t.equal(builder.totalNumSteps, 5, 'heredoc lines are not steps');
+
+        testEnd(t, builder);
+    });
+});
+
+
+tape('heredoc copy', function (t) {
+    var fileAndContents = {
+        'Dockerfile': [
+            'FROM busybox',
+            'ENV name=world',
+            'COPY <<EOF /hello.txt',
+            'hello "$name" \\$name',
+            'EOF',
+            'COPY <<one.txt <<-"two.txt" /files/',
+            'one',
+            'one.txt',
+            '\ttwo $name',
+            '\ttwo.txt'
+        ].join('\n')
+    };
+
+    testBuildContents(t, fileAndContents, function (err, result) {
+        var builder = result.builder;
+        if (showError(t, err, builder)) {
+            return;
+        }
+
+        var rootDir = builder.containerRootDir;
+        t.equal(fs.readFileSync(path.join(rootDir, 'hello.txt')).toString(),
+            'hello "world" \\$name\n', 'heredoc file is expanded');
+        t.equal(fs.readFileSync(path.join(rootDir, 'files/one.txt'))
+            .toString(), 'one\n', 'first heredoc file');
+        t.equal(fs.readFileSync(path.join(rootDir, 'files/two.txt'))
+            .toString(), 'two $name\n', 'quoted heredoc is not expanded');
+
+        // The heredoc content is part of the cache key.
+        var copyCmd = builder.layers[builder.layers.length - 2].image
+            .container_config.Cmd;
+        var contentHash = crypto.createHash('sha256')
+            .update('hello "world" \\$name\n').digest('hex');
+        t.equal(copyCmd[2], '#(nop) COPY file:' + contentHash
+            + ' in /hello.txt', 'copy nop cmd');
+
+        testEnd(t, builder);
+    });
+});
+
+
+tape('heredoc errors', function (t) {
+    var dockerfiles = {
+        'RUN <<EOF\necho hi\n': 'Dockerfile:2: unterminated heredoc EOF',
+        'COPY <<EOF file.txt /\nhi\nEOF':
+            'COPY: cannot mix heredoc and build context sources',
+        'COPY --from=busybox <<EOF /\nhi\nEOF':
+            'COPY --from cannot be used with heredocs',
+        'COPY <<EOF <<EOF /dest/\none\nEOF\ntwo\nEOF':
+            'COPY: duplicate heredoc delimiter EOF'
+    };
+
+    testBuildErrors(t, dockerfiles, { files: { 'file.txt': 'hello' } });
+});
+
+
+tape('run cache mounts', function (t) {
+    var fileAndContents = {
+        'Dockerfile': [
+            'FROM busybox',
+            'RUN --mount=type=cache,target=/cache mkdir /cache/data',
+            'RUN --mount=type=cache,id=/cache,target=/other,sharing=locked '
+                + '--mount=type=cache,target=/npm,mode=0700 [ -d /other/data ]',
+            'COPY file.txt /app/',
+            'WORKDIR /app',
+            'RUN --mount=type=cache,target=npm true'
+        ].join('\n'),
+        'file.txt': 'hello'
+    };
+
+    testBuildContents(t, fileAndContents, function (err, result) {
+        var builder = result.builder;
+        if (showError(t, err, builder)) {
+            return;
+        }
+
+        var runTasks = result.tasks.filter(function (task) {
+            return task.type === 'run';
+        });
+        var cacheDir = runTasks[0].mounts[0].source;
+        t.deepEqual(runTasks[0].cmd, ['/bin/sh', '-c', 'mkdir /cache/data'],
+            'mount flag is not part of the command');
+        t.deepEqual(runTasks[0].mounts, [ {
+            gid: 0,
+            id: '/cache',
+            mode: parseInt('0755', 8),
+            readonly: false,
+            sharing: 'shared',
+            source: cacheDir,
+            target: '/cache',
+            type: 'cache',
+            uid: 0
+        } ], 'cache mount spec');
+        t.equal(path.dirname(cacheDir), path.join(builder.workDir, 'cache'),
+            'cache dir is in the work dir');
+        t.equal(runTasks[1].mounts.length, 2, 'two mounts');
+        t.equal(runTasks[1].mounts[0].source, cacheDir, 'same cache id');
+        t.equal(runTasks[1].mounts[1].mode, parseInt('0700', 8), 'mount mode');
+        t.equal(runTasks[2].mounts[0].target, '/app/npm', 'relative target');
+
+        t.ok(fs.existsSync(path.join(cacheDir, 'data')),
+            'data is kept in the cache dir');
+        t.notOk(fs.existsSync(path.join(builder.containerRootDir, 'cache')),
+            'cache dir is not in the image');
+
+        var runCmd = builder.layers[builder.layers.length - 4].image
+            .container_config.Cmd;
+        t.deepEqual(runCmd, ['/bin/sh', '-c', '[ -d /other/data ]'],
+            'mount flags are not in the nop cmd');
+
+        testEnd(t, builder);
+    });
+});
+
+
+tape('local mount targets', function (t) {
+    var rootDir = temp.mkdirSync('mount-root');
+    var outsideDir = temp.mkdirSync('mount-outside');
+    var cacheDir = path.join(temp.mkdirSync('mount-cache'), 'cache');
+    var mountList = [ {
+        mode: parseInt('0755', 8),
+        source: cacheDir,
+        target: '/escape',
+        type: 'cache'
+    } ];
+
+    // A symlink to a host path must be resolved inside of the container root.
+    fs.symlinkSync(outsideDir, path.join(rootDir, 'escape'));
+    mkdirp.sync(path.join(rootDir, outsideDir));
+    fs.writeFileSync(path.join(rootDir, outsideDir, 'orig.txt'), 'orig');
+
+    mounts.attachLocalMounts(rootDir, mountList, function (err, detach) {
+        var targetPath = path.join(rootDir, outsideDir);
+        t.ifError(err, 'attach');
+        t.deepEqual(fs.readdirSync(outsideDir), [],
+            'host directory is untouched');
+        t.deepEqual(fs.readdirSync(targetPath), [],
+            'cache dir is mounted inside of the container root');
+        t.deepEqual(fs.readdirSync(rootDir).sort(),
+            ['escape', outsideDir.split('/')[1]].sort(),
+            'no backup inside of the container root');
+
+        // The command removes the mount target.
+        rimraf.sync(targetPath);
+
+        detach(function (detachErr) {
+            t.ifError(detachErr, 'detach');
+            t.ok(fs.statSync(cacheDir).isDirectory(), 'cache dir is kept');
+            t.equal(fs.readFileSync(path.join(targetPath, 'orig.txt'),
+                'utf8'), 'orig', 'original target is restored');
+            t.end();
+        });
+    });
+});
+
+
+tape('run mount errors', function (t) {
+    var dockerfiles = {
+        'RUN --mount=type=bind,target=/x true': 'unsupported mount type bind',
+        'RUN --mount=type=cache true': 'mount target is required',
+        'RUN --mount=type=cache,target=/x,sharing=all true':
+            'unsupported cache mount sharing mode all',
+        'RUN --mount=type=cache,target=/x,size=1 true':
+            'invalid mount field size=1',
+        'RUN --network=none true': 'Unknown flag: network'
+    };
+
+    testBuildErrors(t, dockerfiles);
+});
+
+
+tape('run secret mounts', function (t) {
+    var fileAndContents = {
+        'Dockerfile': [
+            'FROM busybox',
+            'RUN --mount=type=secret,id=npmrc [ -f /run/secrets/npmrc ]',
+            'RUN --mount=type=secret,id=token,target=/token.txt,mode=0440 '
+                + '--mount=type=secret,id=missing [ -f /token.txt ]',
+            'RUN [ ! -f /token.txt ]'
+        ].join('\n')
+    };
+    var npmrcPath = path.join(fs.realpathSync(os.tmpDir()),
+        'npmrc-' + mod_uuid.v4());
+    fs.writeFileSync(npmrcPath, 'npmrc-secret-content');
+    var opts = {
+        secrets: {
+            npmrc: {file: npmrcPath},
+            token: {value: 'token-secret-value'}
+        }
+    };
+
+    testBuildContents(t, fileAndContents, opts, function (err, result) {
+        fs.unlinkSync(npmrcPath);
+        var builder = result.builder;
+        if (showError(t, err, builder)) {
+            return;
+        }
+
+        var runTasks = result.tasks.filter(function (task) {
+            return task.type === 'run';
+        });
+        t.deepEqual(runTasks[0].mounts, [ {
+            gid: 0,
+            id: 'npmrc',
+            mode: parseInt('0400', 8),
+            required: false,
+            source: npmrcPath,
+            target: '/run/secrets/npmrc',
+            type: 'secret',
+            uid: 0
+        } ], 'secret mount spec');
+        t.equal(runTasks[1].mounts.length, 1, 'missing secret is skipped');
+        t.equal(runTasks[1].mounts[0].target, '/token.txt', 'secret target');
+        t.equal(runTasks[1].mounts[0].mode, parseInt('0440', 8), 'mode');
+        t.equal(path.dirname(runTasks[1].mounts[0].source),
+            path.join(builder.workDir, 'secrets'), 'secret value file');
+        t.deepEqual(fs.readdirSync(path.join(builder.workDir, 'secrets')), [],
+            'secret value file is removed');
+        t.notOk(fs.existsSync(path.join(builder.containerRootDir,
+            'run/secrets/npmrc')), 'secret is not in the image');
+        t.notOk(fs.existsSync(path.join(builder.containerRootDir, 'run')),
+            'secret parent directories are removed');
+
+        var leaked = JSON.stringify([builder.image, builder.layers,
+            result.messages]);
+        t.equal(leaked.indexOf('npmrc-secret-content'), -1,
+            'file secret does not leak');
+        t.equal(leaked.indexOf('token-secret-value'), -1,
+            'value secret does not leak');
+
+        testEnd(t, builder);
+    });
+});
+
+
+tape('run secret mount errors', function (t) {
+    var dockerfiles = {
+        'RUN --mount=type=secret,id=foo,required true': 'secret foo not found',
+        'RUN --mount=type=secret true': 'secret id or target is required',
+        'RUN --mount=type=secret,id=foo,sharing=locked true':
+            'invalid mount field sharing'
+    };
+
+    testBuildErrors(t, dockerfiles);
+});
+
+
+tape('parser directives', function (t) {
+    var fileAndContents = {
+        'Dockerfile': [
+            '# syntax=docker/dockerfile:1',
+            '# escape=`',
+            '',
+            'FROM busybox',
+            'ENV DIR=C:\\data `',
+            '    OTHER=x',
+            'LABEL path=$DIR\\sub escaped=`$DIR'
+        ].join('\n')
+    };
+
+    testBuildContents(t, fileAndContents, function (err, result) {
+        var builder = result.builder;
+        if (showError(t, err, builder)) {
+            return;
+        }
+
+        t.equal(builder.syntax, 'docker/dockerfile:1', 'syntax directive');
+        t.equal(builder.escapeToken, '`', 'escape directive');
+        t.equal(builder.totalNumSteps, 3, 'number of steps');
+        t.ok(builder.image.config.Env.indexOf('DIR=C:\\data') >= 0,
+            'env with a backslash');
+        t.ok(builder.image.config.Env.indexOf('OTHER=x') >= 0,
+            'env from the continued line');
+        t.deepEqual(builder.image.config.Labels,
+            {path: 'C:\\data\\sub', escaped: '$DIR'}, 'labels');
+
+        testEnd(t, builder);
+    });
+});
+
+
+tape('unknown parser directives', function (t) {
+    t.deepEqual(dockerfile.parseDirectives(
+        '# syntax=docker/dockerfile:1\n# foo=bar\n# escape=`\nFROM busybox'),
+        {escape: '\\', numLines: 1, syntax: 'docker/dockerfile:1',
+            unknown: {line: 2, name: 'foo'}},
+        'directive parsing stops at an unknown directive');
+
+    var fileAndContents = {
+        'Dockerfile': '# syntax=docker/dockerfile:1\n# Foo=bar\nFROM busybox\n'
+    };
+
+    testBuildContents(t, fileAndContents, function (err, result) {
+        var builder = result.builder;
+        if (showError(t, err, builder)) {
+            return;
+        }
+
+        t.equal(builder.totalNumSteps, 1, 'unknown directive is a comment');
+        t.ok(result.messages.some(function (event) {
+            return event.message === '[Warning] unknown parser directive Foo '
+                + '(line 2), it is treated as a comment\n';
+        }), 'unknown directive warning');
+
+        testEnd(t, builder);
+    });
+});
+
+
+tape('parser directive errors', function (t) {
+    var dockerfiles = {
+        '# escape=x\nFROM busybox':
+            'invalid escape parser directive value "x"',
+        '# escape=`\n# escape=\\\nFROM busybox':
+            'only one escape parser directive can be used',
+        'FROM busybox\n# escape=`': 'parser directive escape must be at '
+            + 'the top of the Dockerfile'
+    };
+
+    testBuildErrors(t, dockerfiles, { header: '' });
+});
+
+
+tape('word splitting', function (t) {
+    var fileAndContents = {
+        'Dockerfile': [
+            'FROM busybox',
+            'ENV PORTS="80 443/udp" DIRS="/data /logs" NAME=me SIG=SIGTERM',
+            'ENV FILES="a.txt b.txt"',
+            'EXPOSE $PORTS 8080',
+            'VOLUME $DIRS',
+            'USER $NAME',
+            'STOPSIGNAL $SIG',
+            'COPY $FILES /dst/'
+        ].join('\n'),
+        'a.txt': 'a',
+        'b.txt': 'b'
+    };
+
+    testBuildContents(t, fileAndContents, function (err, result) {
+        var builder = result.builder;
+        if (showError(t, err, builder)) {
+            return;
+        }
+
+        var config = builder.image.config;
+        t.deepEqual(config.ExposedPorts, {
+            '443/udp': {},
+            '80/tcp': {},
+            '8080/tcp': {}
+        }, 'exposed ports');
+        t.deepEqual(config.Volumes, { '/data': {}, '/logs': {} }, 'volumes');
+        t.equal(config.User, 'me', 'user');
+        t.equal(config.StopSignal, 'SIGTERM', 'stop signal');
+
+        t.deepEqual(fs.readdirSync(path.join(builder.containerRootDir, 'dst'))
+            .sort(), ['a.txt', 'b.txt'], 'copy sources are split');
+
+        testEnd(t, builder);
+    });
+});
+
+
+tape('word splitting json form', function (t) {
+    var fileAndContents = {
+        'Dockerfile': [
+            'FROM busybox',
+            'ENV DIR=/data',
+            'COPY ["my file.txt", "/dest/"]',
+            'VOLUME ["$DIR/my dir", "/logs"]',
+            'USER "my user"'
+        ].join('\n'),
+        'my file.txt': 'file'
+    };
+
+    testBuildContents(t, fileAndContents, function (err, result) {
+        var builder = result.builder;
+        if (showError(t, err, builder)) {
+            return;
+        }
+
+        var config = builder.image.config;
+        t.deepEqual(config.Volumes, { '/data/my dir': {}, '/logs': {} },
+            'json volumes are not split');
+        t.equal(config.User, 'my user', 'quoted user is not split');
+        verifyFileContents(t, builder, '/dest/my file.txt', 'file');
+
+        testEnd(t, builder);
+    });
+});
+
+
+tape('word splitting errors', function (t) {
+    var dockerfiles = {
+        'USER $TWO': 'USER requires exactly one argument',
+        'USER $EMPTY': 'USER requires exactly one argument',
+        'STOPSIGNAL $TWO': 'STOPSIGNAL requires exactly one argument',
+        'COPY $EMPTY /dst/': 'at least two arguments required'
+    };
+
+    testBuildErrors(t, dockerfiles, {
+        header: 'FROM busybox\nENV TWO="a b" EMPTY=""\n'
+    });
+});
+
+
+tape('variable syntax errors', function (t) {
+    var dockerfiles = [
+        ['FROM busybox\nCOPY file.txt ${HOME/',
+            'Dockerfile:2: Unclosed ${ at offset 0 in: ${HOME/'],
+        ['FROM busybox\n\nWORKDIR "/app',
+            'Dockerfile:3: Unterminated double quote at offset 0 in: "/app'],
+        ['FROM busybox\nENV A=1 \\\n    B=${A.x}',
+            'Dockerfile:2: Invalid variable name at offset 2 in: ${A.x}'],
+        ['ARG TAG=${1x}\nFROM busybox',
+            'Dockerfile:1: Invalid variable name at offset 6 in: TAG=${1x}'],
+        ['ARG TAG=latest\nFROM busybox:${TAG',
+            'Dockerfile:2: Unclosed ${ at offset 8 in: busybox:${TAG']
+    ];
+
+    testBuildErrors(t, dockerfiles, {
+        files: { 'file.txt': 'file' },
+        header: ''
+    });
+});
+
+
+tape('dockerfile parser', function (t) {
+    var commands = dockerfile.parse([
+        '# escape=`',
+        'FROM busybox',
+        '',
+        'RUN echo one `',
+        '    # a comment inside of the continuation',
+        '',
+        '    two',
+        'COPY ["a.txt", "b.txt", "/dest/"]',
+        'RUN [ -f /etc/passwd ]',
+        'ENV A="x y" `',
+        '    B=z'
+    ].join('\n'));
+
+    t.deepEqual(commands.map(function (cmd) {
+        return [cmd.name, cmd.startLine, cmd.endLine];
+    }), [
+        ['FROM', 2, 2],
+        ['RUN', 4, 7],
+        ['COPY', 8, 8],
+        ['RUN', 9, 9],
+        ['ENV', 10, 11]
+    ], 'command line ranges');
+    t.equal(commands[1].args, 'echo one     two', 'continued run args');
+    t.equal(commands[1].original, [
+        'RUN echo one `',
+        '    # a comment inside of the continuation',
+        '',
+        '    two'
+    ].join('\n'), 'original text');
+    t.equal(commands[1].lineno, 4, 'lineno is the start line');
+    t.deepEqual(commands[2].args, ['a.txt', 'b.txt', '/dest/'], 'json args');
+    t.equal(commands[3].args, '[ -f /etc/passwd ]',
+        'invalid json run is a shell command');
+    t.deepEqual(commands[4].args, {A: '"x y"', B: 'z'}, 'env args');
+
+    var dockerfiles = [
+        ['FROM busybox\nCOPY ["a.txt", 1, "/"]\n',
+            'Dockerfile:2: COPY has an invalid JSON array'],
+        ['FROM busybox\n\nVOLUME [\'/data\']\n',
+            'Dockerfile:3: VOLUME has an invalid JSON array'],
+        ['FROM busybox\nENV A=1 \\\n  B\n',
+            'Dockerfile:2: Syntax error - can\'t find = in B'],
+        ['FROM busybox\nONBUILD\n',
+            'Dockerfile:2: ONBUILD requires at least one argument']
+    ];
+    dockerfiles.forEach(function (entry) {
+        try {
+            dockerfile.parse(entry[0]);
+            t.fail('Expected a parse error for: ' + entry[0]);
+        } catch (err) {
+            t.equal(err.message.indexOf(entry[1]), 0,
+                'expected error for: ' + entry[0]);
+        }
+    });
+
+    t.end();
+});
+
+
+tape('located build errors', function (t) {
+    var dockerfiles = [
+        ['FROM busybox\nCOPY missing.txt /',
+            'Dockerfile:2: stat missing.txt: no such file or directory\n'
+            + '  2 | COPY missing.txt /'],
+        ['FROM busybox\nRUM echo hi',
+            'Dockerfile:2: Unknown instruction: RUM\n  2 | RUM echo hi'],
+        ['FROM busybox\n\nADD missing.txt \\\n  # comment\n  /',
+            'Dockerfile:3: stat missing.txt: no such file or directory\n'
+            + '  3 | ADD missing.txt \\\n  4 |   # comment\n  5 |   /']
+    ];
+
+    testBuildErrors(t, dockerfiles, {
+        files: { 'file.txt': 'file' },
+        header: ''
+    });
+});
+
+
+tape('dockerignore', function (t) {
+    var fileAndContents = {
+        'Dockerfile': [
+            'FROM scratch',
+            'COPY . /app/',
+            'COPY *.log /logs/'
+        ].join('\n'),
+        '.dockerignore': [
+            '# dependencies are installed in the image',
+            'node_modules',
+            '**/*.log',
+            '!keep.log',
+            '/Dockerfile',
+            './.dockerignore',
+            'docs/*',
+            '!docs/README.md'
+        ].join('\n'),
+        'app.js': 'app',
+        'debug.log': 'debug',
+        'docs/README.md': 'readme',
+        'docs/guide.md': 'guide',
+        'keep.log': 'keep',
+        'lib/index.js': 'index',
+        'lib/trace.log': 'trace',
+        'node_modules/dep/index.js': 'dep'
+    };
+    var copyCmds = [];
+
+    function build(contents, next) {
+        testBuildContents(t, contents, function (err, result) {
+            var builder = result.builder;
+            if (showError(t, err, builder)) {
+                return;
+            }
+
+            verifyFilesystem(t, builder, '/', {
+                'app': {
+                    'app.js': 'app',
+                    'docs': {
+                        'README.md': 'readme'
+                    },
+                    'keep.log': 'keep',
+                    'lib': {
+                        'index.js': 'index'
+                    }
+                },
+                'logs': {
+                    'keep.log': 'keep'
+                }
+            });
+            copyCmds.push(builder.layers[builder.layers.length - 2].image
+                .container_config.Cmd);
+            next();
+        });
+    }
+
+    async.series([
+        build.bind(null, fileAndContents),
+        // Changes to the ignored files must not change the cache hash.
+        build.bind(null, jsprim.mergeObjects({
+            'debug.log': 'changed',
+            'node_modules/dep/index.js': 'changed'
+        }, null, fileAndContents))
+    ], function () {
+        t.deepEqual(copyCmds[0], copyCmds[1], 'same copy hash');
+        t.end();
+    });
+});
+
+
+tape('dockerignore rebuilt context', function (t) {
+    // Longer than the 100 byte ustar linkname field.
+    var linkname = '/' + new Array(121).join('x');
+    var fileAndContents = {
+        'Dockerfile': 'FROM scratch\nCOPY . /app/\n',
+        '.dockerignore': 'ignored.txt\n',
+        'caf\u00e9.txt': 'caf\u00e9',
+        'ignored.txt': 'ignored',
+        'link': { linkname: linkname, name: 'link', type: 'symlink' }
+    };
+
+    testBuildContents(t, fileAndContents, function (err, result) {
+        var builder = result.builder;
+        if (showError(t, err, builder)) {
+            return;
+        }
+
+        var appDir = path.join(builder.containerRootDir, 'app');
+        t.equal(fs.readFileSync(path.join(appDir, 'caf\u00e9.txt'), 'utf8'),
+            'caf\u00e9', 'non-ascii file name');
+        t.equal(fs.readlinkSync(path.join(appDir, 'link')), linkname,
+            'long symlink target');
+        t.notOk(fs.existsSync(path.join(appDir, 'ignored.txt')),
+            'ignored file');
+
+        testEnd(t, builder);
+    });
+});
+
+
+tape('dockerignore per dockerfile', function (t) {
+    var fileAndContents = {
+        '.dockerignore': 'api.js\n',
+        'build/api.Dockerfile': 'FROM scratch\nCOPY . /app/\n',
+        'build/api.Dockerfile.dockerignore': 'web.js\nbuild\n',
+        'build/web.Dockerfile': 'FROM scratch\nCOPY . /app/\n',
+        'api.js': 'api',
+        'web.js': 'web'
+    };
+
+    function build(dockerfileName, expectedFilesystem, next) {
+        testBuildContents(t, fileAndContents, {dockerfile: dockerfileName},
+                function (err, result) {
+            var builder = result.builder;
+            if (showError(t, err, builder)) {
+                return;
+            }
+            verifyFilesystem(t, builder, '/app', expectedFilesystem);
+            next();
+        });
+    }
+
+    async.series([
+        build.bind(null, 'build/api.Dockerfile', {
+            '.dockerignore': 'api.js\n',
+            'api.js': 'api'
+        }),
+        // Falls back to the root .dockerignore file.
+        build.bind(null, 'build/web.Dockerfile', {
+            '.dockerignore': 'api.js\n',
+            'build': {
+                'api.Dockerfile': fileAndContents['build/api.Dockerfile'],
+                'api.Dockerfile.dockerignore':
+                    fileAndContents['build/api.Dockerfile.dockerignore'],
+                'web.Dockerfile': fileAndContents['build/web.Dockerfile']
+            },
+            'web.js': 'web'
+        })
+    ], function () {
+        t.end();
+    });
+});
+
+
+tape('dockerignore copy errors', function (t) {
+    var dockerfiles = [
+        ['COPY node_modules /app/',
+            'Dockerfile:2: stat node_modules: no such file or directory'],
+        ['COPY Dockerfile /app/',
+            'Dockerfile:2: stat Dockerfile: no such file or directory']
+    ];
+
+    testBuildErrors(t, dockerfiles, {
+        files: {
+            '.dockerignore': 'node_modules\nDockerfile\n',
+            'node_modules/dep/index.js': 'dep'
+        },
+        header: 'FROM scratch\n'
+    });
+});
+
+
+tape('content addressed image ids', function (t) {
+    var fileAndContents = {
+        'Dockerfile': [
+            'FROM busybox',
+            'ENV A=1',
+            'LABEL b=2'
+        ].join('\n')
+    };
+
+    function getDigest(image) {
+        return 'sha256:' + crypto.createHash('sha256')
+            .update(utils.canonicalJson(image)).digest('hex');
+    }
+
+    t.equal(utils.canonicalJson({b: [1, {d: 'x', c: null}], a: true}),
+        '{"a":true,"b":[1,{"c":null,"d":"x"}]}', 'canonical json');
+
+    testBuildContents(t, fileAndContents, function (err, result) {
+        var builder = result.builder;
+        if (showError(t, err, builder)) {
+            return;
+        }
+
+        // The first layers come from the busybox image history.
+        var layers = builder.layers.slice(-3);
+        layers.slice(1).forEach(function (layer, idx) {
+            t.equal(layer.imageDigest, getDigest(layer.image),
+                'step ' + (idx + 2) + ' digest is the config digest');
+            t.equal(layer.image.parent, layers[idx].imageDigest,
+                'step ' + (idx + 2) + ' parent');
+        });
+        t.equal(builder.imageDigest, layers[2].imageDigest, 'final digest');
+        t.equal(builder.getShortId(), layers[2].imageDigest.slice(7, 19),
+            'short id');
+
+        // The same image content gives the same id, regardless of key order.
+        var image = {};
+        Object.keys(layers[2].image).reverse().forEach(function (key) {
+            image[key] = layers[2].image[key];
+        });
+        builder.image = image;
+        t.equal(builder.setImageId(), layers[2].imageDigest,
+            'same content, same id');
+
+        testEnd(t, builder);
+    });
+});
+
+
+tape('image ids include the layer diff ids', function (t) {
+    var diffIds = [
+        'sha256:' + crypto.createHash('sha256').update('a').digest('hex'),
+        'sha256:' + crypto.createHash('sha256').update('b').digest('hex'),
+        'sha256:' + crypto.createHash('sha256').update('a').digest('hex'),
+        null,
+        null
+    ];
+    var fileAndContents = {
+        'Dockerfile': 'FROM scratch\nRUN date > /x\n'
+    };
+    var images = [];
+
+    async.eachSeries(diffIds, function (diffId, next) {
+        t.buildTaskHandler = function (builder, task) {
+            if (task.type === 'run') {
+                return [null, {exitCode: 0, diffId: diffId}];
+            }
+            return [null];
+        };
+
+        testBuildContents(t, fileAndContents, {sourceDateEpoch: 1500000000},
+                function (err, result) {
+            t.ifError(err, 'build with diffId ' + diffId);
+            images.push({
+                contentAddressed: result.builder.layers[
+                    result.builder.layers.length - 1].contentAddressed,
+                digest: result.builder.imageDigest,
+                image: result.builder.image
+            });
+            next();
+        });
+    }, function () {
+        delete t.buildTaskHandler;
+        t.deepEqual(images[0].image.rootfs,
+            {type: 'layers', diff_ids: [diffIds[0]]}, 'image rootfs');
+        t.notEqual(images[0].digest, images[1].digest,
+            'different layer, different id');
+        t.equal(images[0].digest, images[2].digest, 'same layer, same id');
+        t.ok(images[0].contentAddressed, 'content addressed');
+        t.notOk(images[0].image.hasOwnProperty('container'),
+            'no container id for a known layer');
+        t.notOk(images[3].image.hasOwnProperty('rootfs'),
+            'no rootfs for an unknown layer');
+        t.ok(/^[0-9a-f]{64}$/.test(images[3].image.container),
+            'container id for an unknown layer');
+        t.notOk(images[3].contentAddressed, 'not content addressed');
+        t.notEqual(images[3].digest, images[4].digest,
+            'unknown layer, unique id');
+        t.end();
+    });
+});
+
+
+tape('source date epoch', function (t) {
+    var epoch = 1500000000;
+    var fileAndContents = {
+        'Dockerfile': [
+            'FROM busybox',
+            'COPY file.txt /app/',
+            'ENV A=1'
+        ].join('\n'),
+        'file.txt': 'file'
+    };
+    var images = [];
+
+    function build(opts, next) {
+        testBuildContents(t, fileAndContents, opts, function (err, result) {
+            var builder = result.builder;
+            if (showError(t, err, builder)) {
+                next(err);
+                return;
+            }
+
+            var layers = builder.layers.slice(-2);
+            if (opts.sourceDateEpoch || opts.buildargs) {
+                layers.forEach(function (layer) {
+                    t.equal(layer.image.created, '2017-07-14T02:40:00.000Z',
+                        'created is the epoch');
+                });
+                t.equal(fs.statSync(path.join(builder.containerRootDir,
+                    'app/file.txt')).mtime.getTime(), epoch * 1000,
+                    'file mtime is the epoch');
+            }
+            images.push({
+                digest: builder.imageDigest,
+                json: JSON.stringify(layers[1].image)
+            });
+            next();
+        });
+    }
+
+    async.series([
+        build.bind(null, {sourceDateEpoch: epoch}),
+        build.bind(null, {
+            buildargs: JSON.stringify({SOURCE_DATE_EPOCH: String(epoch)})
+        }),
+        build.bind(null, {})
+    ], function (err) {
+        if (err) {
+            // The failed build has already ended the test.
+            return;
+        }
+        t.equal(images.length, 3, 'three builds');
+        t.equal(images[0].json, images[1].json, 'identical image configs');
+        t.equal(images[0].digest, images[1].digest, 'identical image ids');
+        t.notEqual(images[2].json, images[0].json,
+            'different image config without the epoch');
+        t.notEqual(images[2].digest, images[0].digest,
+            'different image id without the epoch');
+        t.end();
+    });
+});
+
+
+tape('source date epoch errors', function (t) {
+    t.throws(function () {
+        new dockerbuild.Builder({
+            buildargs: JSON.stringify({SOURCE_DATE_EPOCH: 'yesterday'}),
+            commandType: 'build',
+            containerRootDir: '/tmp',
+            contextFilepath: '/tmp/context.tar',
+            log: bunyan.createLogger({name: 'test'}),
+            uuid: mod_uuid.v4(),
+            workDir: '/tmp'
+        });
+    }, /Invalid SOURCE_DATE_EPOCH value "yesterday"/, 'invalid build arg');
+    t.end();
+});
+
+
+tape('image history', function (t) {
+    var fileAndContents = {
+        'Dockerfile': [
+            'FROM busybox',
+            'MAINTAINER Joe <joe@example.com>',
+            'ENV A=1',
+            'COPY file.txt /app/'
+        ].join('\n'),
+        'file.txt': 'file'
+    };
+    var opts = {sourceDateEpoch: 1500000000};
+
+    testBuildContents(t, fileAndContents, opts, function (err, result) {
+        var builder = result.builder;
+        if (showError(t, err, builder)) {
+            return;
+        }
+
+        var created = '2017-07-14T02:40:00.000Z';
+        var copyCmd = builder.image.container_config.Cmd.join(' ');
+        var baseHistory = gBusyboxImg.image.history;
+        var history = builder.image.history;
+
+        t.deepEqual(history.slice(0, baseHistory.length), baseHistory,
+            'base image history');
+        t.deepEqual(history.slice(baseHistory.length), [
+            {
+                created: created,
+                created_by: '/bin/sh -c #(nop) MAINTAINER Joe '
+                    + '<joe@example.com>',
+                author: 'Joe <joe@example.com>',
+                empty_layer: true
+            },
+            {
+                created: created,
+                created_by: '/bin/sh -c #(nop) ENV A=1',
+                author: 'Joe <joe@example.com>',
+                empty_layer: true
+            },
+            {
+                created: created,
+                created_by: copyCmd,
+                author: 'Joe <joe@example.com>'
+            }
+        ], 'build step history');
+        t.deepEqual(builder.layers[builder.layers.length - 1].image.history,
+            history, 'final image history');
+        t.equal(builder.layers[builder.layers.length - 2].image.history.length,
+            history.length - 1, 'previous step history');
+
+        testEnd(t, builder);
+    });
+});
+
+
+tape('export image manifest', function (t) {
+    var fileAndContents = {
+        'Dockerfile': [
+            'FROM busybox',
+            'ENV A=1',
+            'COPY file.txt /app/'
+        ].join('\n'),
+        'file.txt': 'file'
+    };
+    var formats = {
+        'docker': [
+            'application/vnd.docker.distribution.manifest.v2+json',
+            'application/vnd.docker.container.image.v1+json',
+            'application/vnd.docker.image.rootfs.diff.tar.gzip'
+        ],
+        'oci': [
+            'application/vnd.oci.image.manifest.v1+json',
+            'application/vnd.oci.image.config.v1+json',
+            'application/vnd.oci.image.layer.v1.tar+gzip'
+        ]
+    };
+
+    async.eachSeries(Object.keys(formats), function (format, next) {
+        var mediaTypes = formats[format];
+        var opts = {imageFormat: format, sourceDateEpoch: 1500000000};
+
+        testBuildContents(t, fileAndContents, opts, function (err, result) {
+            var builder = result.builder;
+            if (showError(t, err, builder)) {
+                next();
+                return;
+            }
+
+            var exported = builder.exportedImage;
+            var exportTasks = result.tasks.filter(function (task) {
+                return task.type === 'export_layers';
+            });
+            var layers = fakeLayerDescriptors(builder, exportTasks[0]);
+
+            t.equal(exportTasks.length, 1, format + ' export_layers task');
+            t.equal(exportTasks[0].numLayers, 2,
+                format + ' base and copy layers');
+            t.equal(layers[0].diffId, gBusyboxImg.image.rootfs.diff_ids[0],
+                format + ' base image diff id');
+            t.equal(exportTasks[0].imageDigest, builder.imageDigest,
+                format + ' export_layers imageDigest');
+            t.equal(builder.layers[builder.layers.length - 1].imageDigest,
+                builder.imageDigest, format + ' final layer id');
+            t.equal(builder.imageDigest, 'sha256:' + crypto.createHash('sha256')
+                .update(utils.canonicalJson(builder.layers[
+                    builder.layers.length - 1].image)).digest('hex'),
+                format + ' image id is the digest of the stored config');
+            t.ok(result.messages.some(function (event) {
+                return event.message === util.format(
+                    'Successfully built %s\n',
+                    builder.getShortId(builder.imageDigest));
+            }), format + ' successfully built id');
+
+            t.deepEqual(exported.config, {
+                architecture: 'amd64',
+                config: builder.image.config,
+                created: '2017-07-14T02:40:00.000Z',
+                history: builder.image.history,
+                os: 'linux',
+                rootfs: {
+                    diff_ids: layers.map(function (layer) {
+                        return layer.diffId;
+                    }),
+                    type: 'layers'
+                }
+            }, format + ' image config');
+            t.equal(exported.configBlob,
+                utils.canonicalJson(exported.config), format + ' config blob');
+            t.equal(exported.configDigest, 'sha256:' + crypto
+                .createHash('sha256').update(exported.configBlob)
+                .digest('hex'), format + ' config digest');
+
+            t.deepEqual(exported.manifest, {
+                schemaVersion: 2,
+                mediaType: mediaTypes[0],
+                config: {
+                    mediaType: mediaTypes[1],
+                    size: exported.configBlob.length,
+                    digest: exported.configDigest
+                },
+                layers: layers.map(function (layer) {
+                    return {
+                        mediaType: mediaTypes[2],
+                        size: layer.size,
+                        digest: layer.digest
+                    };
+                })
+            }, format + ' image manifest');
+            t.equal(exported.manifestDigest, 'sha256:' + crypto
+                .createHash('sha256').update(exported.manifestBlob)
+                .digest('hex'), format + ' manifest digest');
+
+            next();
+        });
+    }, function () {
+        t.end();
+    });
+});
+
+
+tape('export image manifest errors', function (t) {
+    var fileAndContents = {
+        'Dockerfile': 'FROM busybox\nCOPY file.txt /\n',
+        'file.txt': 'file'
+    };
+    var cases = [
+        [
+            function (layers) {
+                return layers.slice(1);
+            },
+            'expected 2 layer descriptors from the task handler, got 1'
+        ],
+        [
+            function (layers) {
+                layers[1].size = '1001';
+                return layers;
+            },
+            'invalid layer descriptor 1 from the task handler, size must be '
+                + 'a number'
+        ],
+        [
+            function (layers) {
+                layers[0].diffId = layers[1].diffId;
+                return layers;
+            },
+            'layer descriptor 0 diffId ' + 'sha256:'
+                + crypto.createHash('sha256').update('diff 1').digest('hex')
+                + ' does not match the image diff id '
+                + gBusyboxImg.image.rootfs.diff_ids[0]
+        ]
+    ];
+
+    async.eachSeries(cases, function (entry, next) {
+        t.buildTaskHandler = function (builder, task) {
+            if (task.type === 'export_layers') {
+                return [null, entry[0](fakeLayerDescriptors(builder, task))];
+            }
+            if (task.type === 'image_reprovision') {
+                return [null, gBusyboxImg];
+            }
+            return [null];
+        };
+
+        testBuildContents(t, fileAndContents, {imageFormat: 'oci'},
+                function (err, result) {
+            var expected = entry[1];
+            t.ok(err, 'expected an error');
+            t.ok(String(err).indexOf(expected) >= 0,
+                'error should contain ' + JSON.stringify(expected) + ', got '
+                + String(err));
+            t.equal(result.builder.exportedImage, null, 'no exported image');
+            next();
+        });
+    }, function () {
+        delete t.buildTaskHandler;
+        t.end();
+    });
+});
+
+
+tape('layer changesets', function (t) {
+    var fileAndContents = {
+        'Dockerfile': [
+            'FROM busybox',
+            'COPY file.txt /app/',
+            'ENV A=1',
+            'RUN mkdir /app/data'
+        ].join('\n'),
+        'file.txt': 'file'
+    };
+
+    testBuildContents(t, fileAndContents, {snapshotLayers: true},
+            function (err, result) {
+        var builder = result.builder;
+        if (showError(t, err, builder)) {
+            return;
+        }
+
+        var changesetTasks = result.tasks.filter(function (task) {
+            return task.type === 'layer_changeset';
+        });
+        var layers = builder.layers.slice(-3);
+
+        // Only the paths are checked, as the directory mtimes may change.
+        function addedPaths(task) {
+            return task.changes.filter(function (change) {
+                return change.type === 'add';
+            }).map(function (change) {
+                return change.path;
+            });
+        }
+
+        t.equal(changesetTasks.length, 2, 'changesets for COPY and RUN');
+        t.equal(changesetTasks[0].rootDir, builder.containerRootDir,
+            'changeset rootDir');
+        t.deepEqual(addedPaths(changesetTasks[0]), ['app', 'app/file.txt'],
+            'COPY changeset');
+        t.equal(changesetTasks[0].changes[1].entry.hash,
+            crypto.createHash('sha256').update('file').digest('hex'),
+            'COPY changeset file hash');
+        t.deepEqual(addedPaths(changesetTasks[1]), ['app/data'],
+            'RUN changeset');
+        t.deepEqual(layers[2].image.rootfs.diff_ids,
+            gBusyboxImg.image.rootfs.diff_ids.concat(
+                changesetTasks.map(function (task) {
+                    return fakeChangesetDiffId(task.changes);
+                })), 'changeset diff ids');
+
+        testEnd(t, builder);
+    });
+});
+
+
 tape('onbuild', function (t) {
     var fileAndContents = {
         'Dockerfile': [
@@ -0,0 +1,89 @@
+var tape = require('tape');
+
+var dockerignore = require('../lib/dockerignore');
+
+
+tape('dockerignore patterns', function (t) {
+    var patterns = dockerignore.parse([
+        '# a comment',
+        '',
+        '  node_modules  ',
+        '/build/',
+        '**/*.log',
+        '!important.log',
+        'docs/**/draft*',
+        'tmp?',
+        '[ab].txt',
+        'lit\\*.txt',
+        '*.md',
+        '!README*.md',
+        'README-secret.md'
+    ].join('\n'));
+
+    t.deepEqual(patterns.map(function (p) {
+        return [p.pattern, p.exclusion];
+    }), [
+        ['node_modules', false],
+        ['build', false],
+        ['**/*.log', false],
+        ['important.log', true],
+        ['docs/**/draft*', false],
+        ['tmp?', false],
+        ['[ab].txt', false],
+        ['lit\\*.txt', false],
+        ['*.md', false],
+        ['README*.md', true],
+        ['README-secret.md', false]
+    ], 'parsed patterns');
+
+    var files = {
+        'node_modules': true,
+        'node_modules/dep/index.js': true,
+        'src/node_modules/index.js': false,
+        'build/out.js': true,
+        'builder.js': false,
+        'error.log': true,
+        'logs/deep/error.log': true,
+        'important.log': false,
+        'logs/important.log': true,
+        'docs/draft.txt': true,
+        'docs/a/b/draft-2.txt': true,
+        'docs/final.txt': false,
+        'tmp1': true,
+        'tmp12': false,
+        'a.txt': true,
+        'c.txt': false,
+        'lit*.txt': true,
+        'litx.txt': false,
+        'CHANGES.md': true,
+        'README.md': false,
+        'README-secret.md': true,
+        './app.js': false
+    };
+    Object.keys(files).forEach(function (file) {
+        t.equal(dockerignore.isIgnored(file, patterns), files[file], file);
+    });
+
+    t.end();
+});
+
+
+tape('dockerignore errors', function (t) {
+    var invalid = {
+        '!': '"!" must be followed by a pattern',
+        'foo\\': 'invalid .dockerignore pattern foo\\: trailing escape',
+        '[abc': 'invalid .dockerignore pattern [abc: unclosed ['
+    };
+
+    Object.keys(invalid).forEach(function (contents) {
+        try {
+            dockerignore.parse(contents);
+            t.fail('Expected an error for: ' + contents);
+        } catch (err) {
+            t.ok(err.message.indexOf(invalid[contents]) >= 0,
+                'expected error for: ' + contents);
+        }
+    });
+
+    t.end();
+});
@@ -0,0 +1,103 @@
+var tape = require('tape');
+
+var lint = require('../index').lint;
+
+
+// Return the [rule, line] pairs of the diagnostics.
+function rulesAndLines(diagnostics) {
+    return diagnostics.map(function (d) {
+        return [d.rule, d.line];
+    });
+}
+
+
+tape('lint clean dockerfile', function (t) {
+    var diagnostics = lint([
+        'ARG VERSION=1.0',
+        'FROM busybox:${VERSION}',
+        'ARG APP_DIR=/app',
+        'COPY app.tar.gz ${APP_DIR}/',
+        'ADD app.tar.gz /opt/',
+        'RUN apt-get update && apt-get install -y curl \\',
+        '    && rm -rf /var/lib/apt/lists/*',
+        'USER nobody',
+        'CMD ["/app/run"]'
+    ].join('\n'));
+
+    t.deepEqual(diagnostics, [], 'no diagnostics');
+    t.end();
+});
+
+
+tape('lint rules', function (t) {
+    var diagnostics = lint([
+        'ARG UNUSED_GLOBAL',
+        'FROM busybox',
+        'MAINTAINER joe@example.com',
+        'ARG UNUSED=1 USED',
+        'RUM echo $USED',
+        'ADD file.txt \\',
+        '    /app/',
+        'RUN apt-get install -y curl',
+        'RUN [\'echo\', \'hi\']',
+        'ONBUILD COPPY . /app',
+        'CMD /app/run'
+    ].join('\n'));
+
+    t.deepEqual(rulesAndLines(diagnostics), [
+        ['unused-arg', 1],
+        ['missing-user', 2],
+        ['maintainer-deprecated', 3],
+        ['unused-arg', 4],
+        ['unknown-instruction', 5],
+        ['add-instead-of-copy', 6],
+        ['apt-get-cleanup', 8],
+        ['json-single-quotes', 9],
+        ['unknown-instruction', 10],
+        ['shell-form', 11]
+    ], 'rules and lines');
+
+    t.deepEqual(diagnostics[1], {
+        rule: 'missing-user',
+        severity: 'warning',
+        message: 'No USER instruction in the final stage, the container will '
+            + 'run as root',
+        line: 2,
+        endLine: 2
+    }, 'missing-user diagnostic');
+    t.equal(diagnostics[3].message, 'ARG UNUSED is never used',
+        'unused-arg message');
+    t.equal(diagnostics[4].severity, 'error', 'unknown-instruction severity');
+    t.equal(diagnostics[4].message,
+        'Unknown instruction: RUM (did you mean RUN?)', 'did you mean');
+    t.equal(diagnostics[5].endLine, 7, 'add-instead-of-copy endLine');
+    t.equal(diagnostics[8].message,
+        'Unknown instruction: COPPY (did you mean COPY?)', 'onbuild trigger');
+
+    t.end();
+});
+
+
+tape('lint ignoreRules', function (t) {
+    var diagnostics = lint('FROM busybox\nCMD /app/run\n',
+        { ignoreRules: ['missing-user'] });
+
+    t.deepEqual(rulesAndLines(diagnostics), [ ['shell-form', 2] ],
+        'missing-user is ignored');
+    t.end();
+});
+
+
+tape('lint syntax error', function (t) {
+    var diagnostics = lint('FROM busybox\n\nVOLUME [\'/data\']\nFROOM x\n');
+
+    t.deepEqual(diagnostics, [ {
+        rule: 'syntax-error',
+        severity: 'error',
+        message: 'VOLUME has an invalid JSON array, it must be an array of '
+            + '(double quoted) strings',
+        line: 3,
+        endLine: 3
+    } ], 'syntax error diagnostic');
+    t.end();
+});
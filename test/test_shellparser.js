@@ -24,18 +24,16 @@ tape('shell parser', function (t) {
             t.end();
             return;
         }
-        var envs = ['PWD=/home', 'SHELL=bash'];
+        var envs = ['PWD=/home', 'SHELL=bash', 'EMPTY=',
+            'FILE=/src/app.tar.gz'];
         var lines = String(contents).split('\n');
 
         lines.forEach(function (line) {
-            // Trim comments and blank lines
-            var i = line.indexOf('#');
-            if (i >= 0) {
-                line = line.substr(i);
-            }
+            // Skip comments and blank lines - note that '#' is only a comment
+            // at the start of the line, as words can contain it.
             line = line.trim();
 
-            if (!line) {
+            if (!line || line[0] === '#') {
                 return;
             }
 
@@ -60,3 +58,79 @@ tape('shell parser', function (t) {
         t.end();
     });
 });
+
+tape('shell parser options', function (t) {
+    var envs = ['PWD=/home'];
+    var backtick = {escape: '`'};
+
+    t.equal(shellparser.processWord('he`$PWD', envs, backtick), 'he$PWD',
+        'backtick escape');
+    t.equal(shellparser.processWord('C:\\dir\\$PWD', envs, backtick),
+        'C:\\dir\\/home', 'backslash is not special with a backtick escape');
+    t.equal(shellparser.processWord('"a`"b"', envs, backtick), 'a"b',
+        'backtick escape in double quotes');
+    t.equal(shellparser.processWord('"$PWD" \'x\' \\$PWD', envs,
+        {rawEscapes: true, rawQuotes: true}), '"/home" \'x\' \\$PWD',
+        'raw quotes and escapes');
+
+    t.end();
+});
+
+tape('shell parser words', function (t) {
+    var envs = ['PWD=/home', 'WORDS=a  b c', 'EMPTY='];
+
+    t.deepEqual(shellparser.processWords('$WORDS', envs), ['a', 'b', 'c'],
+        'variable is split into words');
+    t.deepEqual(shellparser.processWords('"$WORDS"', envs), ['a  b c'],
+        'quoted variable is not split');
+    t.deepEqual(shellparser.processWords('x$WORDS${PWD}', envs),
+        ['xa', 'b', 'c/home'], 'split words are joined to adjacent text');
+    t.deepEqual(shellparser.processWords('a\\ b\tc', envs), ['a b', 'c'],
+        'escaped whitespace is not split');
+    t.deepEqual(shellparser.processWords('$EMPTY', envs), [],
+        'empty variable gives no words');
+    t.deepEqual(shellparser.processWords('\'\' $PWD', envs), ['/home'],
+        'empty quotes give no words');
+    t.deepEqual(shellparser.processWords('${XXX:-$WORDS}', envs),
+        ['a', 'b', 'c'], 'modifier expansion is split');
+    t.deepEqual(shellparser.processWords('a`  b', envs, {escape: '`'}),
+        ['a ', 'b'], 'backtick escaped whitespace is not split');
+
+    t.end();
+});
+
+tape('shell parser strict errors', function (t) {
+    var envs = ['PWD=/home'];
+    var words = {
+        'he\'llo': 'Unterminated single quote at offset 2',
+        'a"b\\"': 'Unterminated double quote at offset 1',
+        '${PWD': 'Unclosed ${ at offset 0',
+        'x${XXX:-a': 'Unclosed ${ at offset 1',
+        '${PWD#/h': 'Unclosed ${ at offset 0',
+        '${PWD/a/b': 'Unclosed ${ at offset 0',
+        '${}': 'Invalid variable name at offset 2',
+        '$PWD${a.b}': 'Invalid variable name at offset 6',
+        '${1x}': 'Invalid variable name at offset 2'
+    };
+
+    Object.keys(words).forEach(function (word) {
+        t.throws(function () {
+            shellparser.processWord(word, envs, {strict: true});
+        }, new RegExp('^Error: ' + words[word].replace(/[${}]/g, '\\$&')),
+            'strict error for: ' + word);
+    });
+
+    var err;
+    try {
+        shellparser.processWords('ok "open', envs, {strict: true});
+    } catch (ex) {
+        err = ex;
+    }
+    t.equal(err && err.offset, 3, 'error offset property');
+    t.equal(shellparser.processWord('he\'llo', envs), 'hello',
+        'unterminated quote is accepted when not strict');
+    t.equal(shellparser.processWord('"$PWD" ${PWD:-x}', envs, {strict: true}),
+        '/home /home', 'valid words are accepted when strict');
+
+    t.end();
+});
@@ -0,0 +1,211 @@
+var fs = require('fs');
+var path = require('path');
+
+var rimraf = require('rimraf');
+var tape = require('tape');
+var tar = require('tar-stream');
+// Track and cleanup temporary files at exit.
+var temp = require('temp').track();
+
+var snapshot = require('../lib/snapshot');
+var utils = require('../lib/utils');
+
+
+// Create the files (map of path to contents, null for a directory) in dir.
+function createFiles(dir, files) {
+    Object.keys(files).forEach(function (name) {
+        var filepath = path.join(dir, name);
+        if (files[name] === null) {
+            fs.mkdirSync(filepath);
+        } else {
+            fs.writeFileSync(filepath, files[name]);
+        }
+    });
+}
+
+// Set the mtime of all the directories in dir, so they don't show up as
+// modified.
+function resetDirMtimes(dir) {
+    utils.getDirTarEntriesSync(dir).forEach(function (entry) {
+        if (entry.type === 'directory') {
+            fs.utimesSync(path.join(dir, entry.name), 1000, 1000);
+        }
+    });
+}
+
+// Return the [type, path, whiteout] of the changes.
+function summarizeChanges(changes) {
+    return changes.map(function (change) {
+        return [change.type, change.path, change.whiteout];
+    });
+}
+
+
+tape('getWhiteoutPath', function (t) {
+    t.equal(snapshot.getWhiteoutPath('motd'), '.wh.motd', 'top level');
+    t.equal(snapshot.getWhiteoutPath('etc/ssh/sshd_config'),
+        'etc/ssh/.wh.sshd_config', 'nested');
+    t.end();
+});
+
+
+tape('snapshot diff', function (t) {
+    var rootDir = temp.mkdirSync('snapshot');
+    var before;
+
+    createFiles(rootDir, {
+        'a.txt': 'a',
+        'dir': null,
+        'dir/b.txt': 'b',
+        'dir/sub': null,
+        'dir/sub/c.txt': 'c',
+        'keep.txt': 'keep',
+        'old': null,
+        'old/x.txt': 'x'
+    });
+    fs.symlinkSync('a.txt', path.join(rootDir, 'link'));
+    fs.utimesSync(path.join(rootDir, 'a.txt'), 2000, 2000);
+    resetDirMtimes(rootDir);
+
+    snapshot.takeSnapshot(rootDir, {}, function (err, snap) {
+        t.ifError(err, 'before snapshot');
+        before = snap;
+
+        t.deepEqual(Object.keys(before).sort(), ['a.txt', 'dir', 'dir/b.txt',
+            'dir/sub', 'dir/sub/c.txt', 'keep.txt', 'link', 'old',
+            'old/x.txt'], 'snapshot paths');
+        t.equal(before['a.txt'].type, 'file', 'file type');
+        t.equal(before['a.txt'].size, 1, 'file size');
+        t.equal(before['a.txt'].mtime, 2000, 'file mtime');
+        t.equal(before['dir'].type, 'directory', 'directory type');
+        t.equal(before['link'].type, 'symlink', 'symlink type');
+        t.equal(before['link'].linkname, 'a.txt', 'symlink linkname');
+
+        // Same size and mtime, but different content.
+        fs.writeFileSync(path.join(rootDir, 'a.txt'), 'A');
+        fs.utimesSync(path.join(rootDir, 'a.txt'), 2000, 2000);
+        fs.unlinkSync(path.join(rootDir, 'dir/b.txt'));
+        fs.writeFileSync(path.join(rootDir, 'dir/new.txt'), 'new');
+        fs.chmodSync(path.join(rootDir, 'keep.txt'), parseInt('0600', 8));
+        fs.unlinkSync(path.join(rootDir, 'link'));
+        fs.symlinkSync('keep.txt', path.join(rootDir, 'link'));
+        rimraf.sync(path.join(rootDir, 'old'));
+        resetDirMtimes(rootDir);
+
+        snapshot.takeSnapshot(rootDir, {previous: before}, afterCb);
+    });
+
+    function afterCb(err, after) {
+        t.ifError(err, 'after snapshot');
+
+        var changes = snapshot.diffSnapshots(before, after);
+        t.deepEqual(summarizeChanges(changes), [
+            ['modify', 'a.txt', undefined],
+            ['delete', 'dir/b.txt', 'dir/.wh.b.txt'],
+            ['add', 'dir/new.txt', undefined],
+            ['modify', 'keep.txt', undefined],
+            ['modify', 'link', undefined],
+            ['delete', 'old', '.wh.old']
+        ], 'changes');
+        t.equal(changes[2].entry, after['dir/new.txt'], 'change entry');
+        t.deepEqual(snapshot.diffSnapshots(after, after), [], 'no changes');
+
+        // Replacing a directory with a file hides the directory contents.
+        rimraf.sync(path.join(rootDir, 'dir'));
+        fs.writeFileSync(path.join(rootDir, 'dir'), 'dir');
+        snapshot.takeSnapshot(rootDir, {previous: after},
+                function (err2, replaced) {
+            t.ifError(err2, 'replaced snapshot');
+            t.deepEqual(summarizeChanges(snapshot.diffSnapshots(after,
+                replaced)), [ ['modify', 'dir', undefined] ],
+                'replaced directory changes');
+            t.end();
+        });
+    }
+});
+
+
+tape('snapshot reuses unchanged file hashes', function (t) {
+    var rootDir = temp.mkdirSync('snapshot');
+
+    createFiles(rootDir, {'a.txt': 'a', 'b.txt': 'b'});
+
+    snapshot.takeSnapshot(rootDir, {}, function (err, before) {
+        t.ifError(err, 'before snapshot');
+
+        before['a.txt'].hash = 'previous';
+        fs.writeFileSync(path.join(rootDir, 'b.txt'), 'bb');
+        before['b.txt'].hash = 'previous';
+
+        snapshot.takeSnapshot(rootDir, {previous: before},
+                function (err2, after) {
+            t.ifError(err2, 'after snapshot');
+            t.equal(after['a.txt'].hash, 'previous', 'unchanged file');
+            t.notEqual(after['b.txt'].hash, 'previous', 'changed file');
+            t.end();
+        });
+    });
+});
+
+
+tape('changeset tar entries', function (t) {
+    var before;
+    var rootDir = temp.mkdirSync('snapshot');
+    var tarpath = path.join(temp.mkdirSync('snapshot-tar'), 'layer.tar');
+
+    createFiles(rootDir, {'gone.txt': 'gone', 'lib': null});
+
+    snapshot.takeSnapshot(rootDir, {}, function (err, snap) {
+        t.ifError(err, 'before snapshot');
+        before = snap;
+
+        fs.unlinkSync(path.join(rootDir, 'gone.txt'));
+        fs.writeFileSync(path.join(rootDir, 'lib/new.txt'), 'new');
+        fs.utimesSync(path.join(rootDir, 'lib/new.txt'), 3000, 3000);
+        fs.symlinkSync('lib/new.txt', path.join(rootDir, 'new'));
+
+        snapshot.takeSnapshot(rootDir, {previous: before}, afterCb);
+    });
+
+    function afterCb(err, after) {
+        t.ifError(err, 'after snapshot');
+
+        // The lib directory mtime may or may not have changed.
+        var changes = snapshot.diffSnapshots(before, after).filter(
+            function (change) {
+                return change.path !== 'lib';
+            });
+        var entries = {};
+        var extract = tar.extract();
+
+        utils.createTarfileSync(tarpath,
+            snapshot.getChangesetTarEntries(rootDir, changes));
+
+        extract.on('entry', function (header, stream, next) {
+            var content = '';
+            stream.on('data', function (data) {
+                content += data;
+            });
+            stream.on('end', function () {
+                header.content = content;
+                entries[header.name] = header;
+                next();
+            });
+        });
+        extract.on('finish', function () {
+            var file = entries['lib/new.txt'];
+
+            t.deepEqual(Object.keys(entries), ['.wh.gone.txt', 'lib/new.txt',
+                'new'], 'layer tar entry names');
+            t.equal(entries['.wh.gone.txt'].size, 0, 'empty whiteout file');
+            t.equal(file.content, 'new', 'file content');
+            t.equal(file.mtime.getTime(), 3000 * 1000, 'file mtime');
+            t.equal(file.uid, process.getuid(), 'file uid');
+            t.equal(file.gid, process.getgid(), 'file gid');
+            t.equal(entries['new'].type, 'symlink', 'symlink type');
+            t.equal(entries['new'].linkname, 'lib/new.txt', 'symlink target');
+            t.end();
+        });
+        fs.createReadStream(tarpath).pipe(extract);
+    }
+});